@@ -0,0 +1,17 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * A Mocha root hooks plugin for the default client, for
+ * `mocha --require percy-node/mocha`. The build is set up with the options in
+ * the percy-node config file.
+ */
+
+const percyNodeClient = require('./src/percy-node-client');
+
+module.exports = {
+  mochaHooks: percyNodeClient.mocha.hooks(),
+};
@@ -0,0 +1,340 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Finds the assets a snapshot refers to, so that files outside
+ * of the build directories still end up in percy.
+ *
+ * The snapshot html is scanned for:
+ *   - <link href> of stylesheets, icons and preloads.
+ *   - <img>, <source>, <video> and <input type="image"> src, srcset and poster.
+ *   - url() in style attributes and <style> elements.
+ * Stylesheets are scanned in turn for @import and url() references.
+ *
+ * References are resolved against the snapshot's url ('/') or the stylesheet
+ * they appear in, then looked up in the resource sources, see
+ * ./resource-sources.js. External urls and data urls are ignored. The html is
+ * not fully parsed, so references built by scripts or hidden in unusual markup
+ * are not found.
+ */
+
+const path = require('path');
+const url = require('url');
+const {
+  MAX_FILE_SIZE_BYTES,
+  makeResource,
+  mimetypeFor,
+} = require('./resources');
+
+
+/**
+ * <link rel> values whose href is an asset the page is rendered with.
+ * @const {!RegExp}
+ */
+const ASSET_LINK_REL_PATTERN = /\b(stylesheet|icon|preload)\b/i;
+
+
+/**
+ * @param {string} html
+ * @return {!Array<string>} The asset urls the html refers to, as written.
+ */
+function findHtmlReferences(html) {
+  const references = [];
+  const tagPattern = /<(link|img|source|video|input)\b([^>]*)>/gi;
+  let tagMatch;
+  while ((tagMatch = tagPattern.exec(html))) {
+    const tagName = tagMatch[1].toLowerCase();
+    const attributes = parseAttributes(tagMatch[2]);
+    if (tagName == 'link' &&
+        !ASSET_LINK_REL_PATTERN.test(attributes['rel'] || '')) {
+      continue;
+    }
+    ['href', 'src', 'poster'].forEach((name) => {
+      if (attributes[name]) {
+        references.push(attributes[name]);
+      }
+    });
+    if (attributes['srcset']) {
+      references.push(...parseSrcset(attributes['srcset']));
+    }
+  }
+
+  const stylePattern = /\bstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  let styleMatch;
+  while ((styleMatch = stylePattern.exec(html))) {
+    references.push(...findCssReferences(
+        decodeEntities(styleMatch[1] || styleMatch[2] || '')));
+  }
+  const styleElementPattern = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+  while ((styleMatch = styleElementPattern.exec(html))) {
+    references.push(...findCssReferences(styleMatch[1]));
+  }
+  return unique(references);
+}
+
+
+/**
+ * @param {string} css
+ * @return {!Array<string>} The urls of the @import and url() references in
+ *     the css, as written.
+ */
+function findCssReferences(css) {
+  const references = [];
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const importPattern = /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1/gi;
+  const urlPattern = /url\(\s*(["']?)([^"')]+?)\1\s*\)/gi;
+  let match;
+  while ((match = importPattern.exec(withoutComments))) {
+    references.push(match[2]);
+  }
+  while ((match = urlPattern.exec(withoutComments))) {
+    references.push(match[2]);
+  }
+  return unique(references);
+}
+
+
+/**
+ * Finds the assets a snapshot refers to that are not already known, e.g.
+ * because they are build resources, and which of the known ones it uses.
+ * @param {string} html The snapshot html.
+ * @param {{
+ *   sources: !Array<{fetch: function(string): !Promise<?AssetContent>}>,
+ *   knownUrls: !Set<string>,
+ *   cssReferenceCache: (!Map<string, !Array<string>>|undefined),
+ *   maxFileSize: (number|undefined),
+ *   mimeTypes: (!Object<string, string>|undefined),
+ * }} options `sources` are asked for the content of each url, in order.
+ *     `knownUrls` are the encoded resource urls that need no discovery.
+ *     `cssReferenceCache` keeps the references of known stylesheets between
+ *     calls, see knownCssReferences().
+ *     `maxFileSize` and `mimeTypes` are the same as for
+ *     gatherBuildResources().
+ * @return {!Promise<{
+ *   resources: !Array<!Resource>,
+ *   known: !Array<string>,
+ *   unresolved: !Array<string>,
+ *   tooLarge: !Array<string>,
+ * }>} The resources for the assets that were found, the known urls the
+ *     snapshot refers to (directly or through its stylesheets), the urls that
+ *     none of the sources have, and the urls of assets that are too large to
+ *     upload.
+ */
+async function discoverSnapshotResources(html, options) {
+  const resources = [];
+  const known = [];
+  const unresolved = [];
+  const tooLarge = [];
+  // Urls that have been looked at, to scan every stylesheet only once.
+  const visited = new Set(['/']);
+
+  const visitAll = async (cssReferences, baseUrl) => {
+    // Visit one reference after the other to keep the order of the
+    // resources stable.
+    for (let i = 0; i < cssReferences.length; i++) {
+      await visit(cssReferences[i], baseUrl);
+    }
+  };
+  const visit = async (reference, baseUrl) => {
+    const resourceUrl = resolveReference(reference, baseUrl);
+    if (!resourceUrl || visited.has(resourceUrl)) {
+      return;
+    }
+    visited.add(resourceUrl);
+    if (options.knownUrls.has(resourceUrl)) {
+      known.push(resourceUrl);
+      await visitAll(
+          await knownCssReferences(resourceUrl, options), resourceUrl);
+      return;
+    }
+    const asset = await fetchAsset(resourceUrl, options.sources);
+    if (!asset) {
+      unresolved.push(resourceUrl);
+      return;
+    }
+    if (asset.tooLarge ||
+        asset.content.length > (options.maxFileSize || MAX_FILE_SIZE_BYTES)) {
+      tooLarge.push(resourceUrl);
+      return;
+    }
+    resources.push(makeResource({
+      resourceUrl: resourceUrl,
+      content: asset.content,
+      localPath: asset.localPath,
+      mimetype: asset.mimetype || mimetypeFor(resourceUrl, options.mimeTypes),
+    }));
+    if (isStylesheet(resourceUrl, asset)) {
+      await visitAll(findCssReferences(asset.content.toString()), resourceUrl);
+    }
+  };
+  const references = findHtmlReferences(html);
+  for (let i = 0; i < references.length; i++) {
+    await visit(references[i], '/');
+  }
+  return {
+    resources: resources,
+    known: known,
+    unresolved: unresolved,
+    tooLarge: tooLarge,
+  };
+}
+
+
+/**
+ * Known assets are not uploaded again, they are only read if they are
+ * stylesheets (by extension), to find the assets they refer to. Their
+ * references are remembered in `options.cssReferenceCache`, so that each one
+ * is read only once per build.
+ * @param {string} resourceUrl The url of a known asset.
+ * @param {{
+ *   sources: !Array<{fetch: function(string): !Promise<?AssetContent>}>,
+ *   cssReferenceCache: (!Map<string, !Array<string>>|undefined),
+ * }} options See discoverSnapshotResources().
+ * @return {!Promise<!Array<string>>} The references in the stylesheet.
+ */
+async function knownCssReferences(resourceUrl, options) {
+  if (path.extname(resourceUrl).toLowerCase() != '.css') {
+    return [];
+  }
+  const cache = options.cssReferenceCache;
+  if (cache && cache.has(resourceUrl)) {
+    return cache.get(resourceUrl);
+  }
+  const asset = await fetchAsset(resourceUrl, options.sources);
+  const cssReferences = asset && asset.content ?
+      findCssReferences(asset.content.toString()) : [];
+  if (cache) {
+    cache.set(resourceUrl, cssReferences);
+  }
+  return cssReferences;
+}
+
+
+/**
+ * @param {string} resourceUrl
+ * @param {!Array<{fetch: function(string): !Promise<?AssetContent>}>} sources
+ * @return {!Promise<?AssetContent>} The content from the first source that
+ *     has the url.
+ */
+async function fetchAsset(resourceUrl, sources) {
+  for (let i = 0; i < sources.length; i++) {
+    const asset = await sources[i].fetch(resourceUrl);
+    if (asset) {
+      return asset;
+    }
+  }
+  return null;
+}
+
+
+/**
+ * @param {string} resourceUrl
+ * @param {!AssetContent} asset
+ * @return {boolean}
+ */
+function isStylesheet(resourceUrl, asset) {
+  return asset.mimetype ? asset.mimetype == 'text/css' :
+      path.extname(resourceUrl).toLowerCase() == '.css';
+}
+
+
+/**
+ * @param {string} reference A url as written in html or css.
+ * @param {string} baseUrl The url path the reference is relative to.
+ * @return {?string} The encoded url path of the reference, without query or
+ *     fragment. Null for external urls, data urls and fragments.
+ */
+function resolveReference(reference, baseUrl) {
+  const trimmed = decodeEntities(reference.trim());
+  // Skip fragments, and urls with a scheme (http:, data:, ...) or a host.
+  if (!trimmed || trimmed.charAt(0) == '#' || trimmed.indexOf('//') === 0 ||
+      /^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    return null;
+  }
+  const pathname = url.parse(url.resolve(baseUrl, trimmed)).pathname;
+  if (!pathname || pathname == '/') {
+    return null;
+  }
+  // Re-encode every segment the way build resource urls are encoded, so the
+  // same file always has the same url. Segments are decoded only once, and
+  // encoded dots ('%2e%2e') are not allowed to climb out of the root.
+  const segments = [];
+  const encodedSegments = pathname.split('/');
+  for (let i = 0; i < encodedSegments.length; i++) {
+    let segment;
+    try {
+      segment = decodeURIComponent(encodedSegments[i]);
+    } catch (e) {
+      // Malformed percent encoding, use the segment as written.
+      segments.push(encodedSegments[i]);
+      continue;
+    }
+    if (segment == '.' || segment == '..') {
+      return null;
+    }
+    segments.push(encodeURI(segment).replace(/[/?#]/g, encodeURIComponent));
+  }
+  return segments.join('/');
+}
+
+
+/**
+ * @param {string} source The attributes of an html tag.
+ * @return {!Object<string, string>} The attribute values by lower case name.
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+  const attributePattern =
+      /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  while ((match = attributePattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] :
+        match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+
+/**
+ * @param {string} srcset
+ * @return {!Array<string>} The urls of the image candidates.
+ */
+function parseSrcset(srcset) {
+  return srcset.split(',')
+      .map((candidate) => candidate.trim().split(/\s+/)[0])
+      .filter((candidateUrl) => !!candidateUrl);
+}
+
+
+/**
+ * Decodes the html entities that commonly appear in urls.
+ * @param {string} value
+ * @return {string}
+ */
+function decodeEntities(value) {
+  return value
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, '\'')
+      .replace(/&amp;/g, '&');
+}
+
+
+/**
+ * @param {!Array<string>} values
+ * @return {!Array<string>} The values without duplicates, in order.
+ */
+function unique(values) {
+  return values.filter((value, i) => values.indexOf(value) === i);
+}
+
+
+module.exports = {
+  findHtmlReferences,
+  findCssReferences,
+  discoverSnapshotResources,
+};
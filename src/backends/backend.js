@@ -0,0 +1,166 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The interface between PercyNodeClient and the service that
+ * stores and compares snapshots.
+ *
+ * The client does all of the work that is the same for every service:
+ * gathering build resources, resolving breakpoints, and ordering uploads so
+ * that snapshots are only finalized once every resource they need is stored.
+ * A backend only moves data to and from its service. The calls follow the
+ * percy api:
+ *
+ *   createBuild()         Tells the service about the build resources. It
+ *                         answers with the ones it doesn't have yet.
+ *   uploadResource()      Called for each of those missing resources.
+ *   createSnapshot()      Tells the service about a snapshot and its
+ *                         resources. It answers with the ones it doesn't have.
+ *   uploadResource()      Called for each of those missing resources.
+ *   finalizeSnapshot()    The snapshot and its resources are complete.
+ *   finalizeBuild()       All snapshots have been created.
+ *   getBuild()            Polled by finalizeBuild(true) until the state is no
+ *                         longer 'pending' or 'processing'.
+ *   getBuildSnapshots()   The snapshots of the finished build.
+ *
+ * Built-in backends:
+ *   PercyBackend   ./percy-backend.js    The percy.io service. The default.
+ *   LocalBackend   ./local-backend.js    Compares against a baseline build
+ *                                        stored in a local directory.
+ *   DryRunBackend  ./dry-run-backend.js  Writes what would be sent to percy to
+ *                                        a local directory.
+ *
+ * Any object with these methods can be passed to PercyNodeClient as its
+ * `backend` option.
+ */
+
+
+/**
+ * The outcome of a build once the backend has finished processing it.
+ *   - state: 'pending' or 'processing' while the backend works on the build,
+ *     then 'finished', 'failed', or 'skipped' when nothing was compared, as
+ *     in a dry run.
+ *   - changes: Set by backends that compare snapshots locally. Lists the
+ *     snapshot widths that are new, gone or different compared to the
+ *     baseline. Null for percy, where the dashboard shows this.
+ * @typedef {{
+ *   buildId: string,
+ *   webUrl: string,
+ *   state: string,
+ *   failureReason: ?string,
+ *   totalSnapshots: ?number,
+ *   totalSnapshotsUnreviewed: ?number,
+ *   totalComparisons: ?number,
+ *   totalComparisonsDiff: ?number,
+ *   snapshots: !Array<{name: string, reviewState: ?string}>,
+ *   changes: ?{
+ *     added: !Array<{name: string, width: number}>,
+ *     removed: !Array<{name: string, width: number}>,
+ *     changed: !Array<{name: string, width: number}>,
+ *   },
+ * }}
+ */
+var BuildResult;
+
+
+/**
+ * Base class documenting the methods a backend implements. Every method
+ * returns a promise.
+ */
+class Backend {
+  /**
+   * Creates a build.
+   * @param {{
+   *   project: ?string,
+   *   breakpoints: !Object<string, number>,
+   *   resources: !Array<!Resource>,
+   * }} build
+   * @return {!Promise<{
+   *   id: string,
+   *   webUrl: string,
+   *   missingResources: !Array<string>,
+   * }>} The build id, a url (or path) where the build can be looked at, and
+   *     the shas of the build resources that need to be uploaded.
+   */
+  createBuild(build) {
+    return notImplemented('createBuild');
+  }
+
+  /**
+   * @param {string} buildId
+   * @param {!Resource} resource
+   * @param {string|!Buffer} content The content of the resource.
+   * @return {!Promise}
+   */
+  uploadResource(buildId, resource, content) {
+    return notImplemented('uploadResource');
+  }
+
+  /**
+   * @param {string} buildId
+   * @param {{
+   *   name: string,
+   *   widths: !Array<number>,
+   *   enableJavaScript: boolean,
+   *   minHeight: ?number,
+   *   resources: !Array<!Resource>,
+   * }} snapshot The resources always include the root html resource. Any
+   *     other resources are specific to this snapshot.
+   * @return {!Promise<{id: string, missingResources: !Array<string>}>} The
+   *     snapshot id and the shas of the snapshot resources that need to be
+   *     uploaded.
+   */
+  createSnapshot(buildId, snapshot) {
+    return notImplemented('createSnapshot');
+  }
+
+  /**
+   * @param {string} snapshotId
+   * @return {!Promise}
+   */
+  finalizeSnapshot(snapshotId) {
+    return notImplemented('finalizeSnapshot');
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {!Promise}
+   */
+  finalizeBuild(buildId) {
+    return notImplemented('finalizeBuild');
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {!Promise<!BuildResult>} The current state of the build. The
+   *     snapshots are left empty, see getBuildSnapshots().
+   */
+  getBuild(buildId) {
+    return notImplemented('getBuild');
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {!Promise<!Array<{name: string, reviewState: ?string}>>}
+   */
+  getBuildSnapshots(buildId) {
+    return notImplemented('getBuildSnapshots');
+  }
+}
+
+
+/**
+ * @param {string} method
+ * @return {!Promise} Rejects, the backend doesn't implement the method.
+ */
+function notImplemented(method) {
+  return Promise.reject(
+      new Error(`This backend does not implement ${method}().`));
+}
+
+
+module.exports = {Backend};
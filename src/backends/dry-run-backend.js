@@ -0,0 +1,232 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Records what a build would send to percy to a local directory
+ * instead of calling the percy api. Used when there is no PERCY_TOKEN (e.g.
+ * local development or pull requests from forks) or when dry run mode is
+ * forced.
+ *
+ * The output directory contains:
+ *   manifest.json          The build resources and snapshots.
+ *   snapshots/<name>.html  The html of each snapshot.
+ *   resources/<sha>        The content of snapshot resources other than the
+ *                          html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Backend} = require('./backend');
+const {makeDirs, readJson, writeJson} = require('../fs-utils');
+
+
+/**
+ * The directory dry runs are written to when none is configured, relative to
+ * the current working directory.
+ * @const {string}
+ */
+const DEFAULT_OUTPUT_DIR = 'percy-dry-run';
+
+
+/**
+ * Writes the resources and snapshots of a single build to an output directory.
+ */
+class DryRunBackend extends Backend {
+  /**
+   * @param {{
+   *   outputDir: (string|undefined),
+   *   logger: {log: Function},
+   * }} options
+   */
+  constructor(options) {
+    super();
+
+    /** @type {string} */
+    this.outputDir = path.resolve(options.outputDir || DEFAULT_OUTPUT_DIR);
+
+    /** @private {{log: Function}} */
+    this.logger_ = options.logger;
+
+    /**
+     * The manifest that is written to manifest.json.
+     * @type {{
+     *   project: ?string,
+     *   createdAt: ?string,
+     *   finalizedAt: ?string,
+     *   breakpoints: !Object<string, number>,
+     *   resources: !Array<Object>,
+     *   snapshots: !Array<Object>,
+     * }}
+     */
+    this.manifest = {
+      project: null,
+      createdAt: null,
+      finalizedAt: null,
+      breakpoints: {},
+      resources: [],
+      snapshots: [],
+    };
+  }
+
+  /**
+   * @return {string} The path to manifest.json.
+   */
+  get manifestPath() {
+    return path.join(this.outputDir, 'manifest.json');
+  }
+
+  /**
+   * Prepares the output directory and records the build resources. Snapshot
+   * files left over from a previous dry run into the same directory are
+   * removed. Nothing needs to be uploaded.
+   * @override
+   */
+  async createBuild(build) {
+    this.logger_.log('[percy] Dry run mode: nothing is sent to percy. ' +
+        `Writing the build to ${this.outputDir}`);
+    this.removePreviousSnapshots_();
+    makeDirs(path.join(this.outputDir, 'snapshots'));
+    this.manifest.project = build.project || null;
+    this.manifest.createdAt = new Date().toISOString();
+    this.manifest.breakpoints = build.breakpoints || {};
+    this.manifest.resources = build.resources.map((resource) => ({
+      resourceUrl: resource.resourceUrl,
+      sha: resource.sha,
+      mimetype: resource.mimetype || null,
+      localPath: resource.localPath || null,
+    }));
+    this.save_();
+    return {id: 'dry-run', webUrl: this.manifestPath, missingResources: []};
+  }
+
+  /** @override */
+  async uploadResource(buildId, resource, content) {}
+
+  /**
+   * Writes the snapshot html to its own file and adds the snapshot to the
+   * manifest. Other snapshot resources are written to resources/.
+   * @override
+   */
+  async createSnapshot(buildId, snapshot) {
+    const root = snapshot.resources.find((resource) => resource.isRoot);
+    const file = path.join('snapshots', this.uniqueFileName_(snapshot.name));
+    fs.writeFileSync(path.join(this.outputDir, file), root.content);
+    const resources = snapshot.resources.filter((resource) => !resource.isRoot);
+    resources.forEach((resource) => {
+      makeDirs(path.join(this.outputDir, 'resources'));
+      fs.writeFileSync(path.join(this.outputDir, 'resources', resource.sha),
+          resource.content);
+    });
+    this.manifest.snapshots.push({
+      name: snapshot.name,
+      widths: snapshot.widths,
+      enableJavaScript: snapshot.enableJavaScript,
+      minHeight: snapshot.minHeight || null,
+      file: file,
+      resources: resources.map((resource) => ({
+        resourceUrl: resource.resourceUrl,
+        sha: resource.sha,
+        mimetype: resource.mimetype || null,
+      })),
+    });
+    this.save_();
+    return {id: file, missingResources: []};
+  }
+
+  /** @override */
+  async finalizeSnapshot(snapshotId) {}
+
+  /**
+   * Marks the build as finalized.
+   * @override
+   */
+  async finalizeBuild(buildId) {
+    this.manifest.finalizedAt = new Date().toISOString();
+    this.save_();
+    this.logger_.log(
+        `[percy] Dry run complete, wrote ${this.manifest.snapshots.length} ` +
+        `snapshots to:`, this.manifestPath);
+  }
+
+  /**
+   * Nothing is compared in a dry run, so the build is 'skipped' rather than
+   * 'finished': a dry run must not pass for a build without diffs.
+   * @override
+   */
+  async getBuild(buildId) {
+    return {
+      buildId: buildId,
+      webUrl: this.manifestPath,
+      state: 'skipped',
+      failureReason: null,
+      totalSnapshots: this.manifest.snapshots.length,
+      totalSnapshotsUnreviewed: 0,
+      totalComparisons: 0,
+      totalComparisonsDiff: 0,
+      snapshots: [],
+      changes: null,
+    };
+  }
+
+  /** @override */
+  async getBuildSnapshots(buildId) {
+    return this.manifest.snapshots.map((snapshot) => ({
+      name: snapshot.name,
+      reviewState: null,
+    }));
+  }
+
+  /**
+   * @param {string} name The snapshot name.
+   * @return {string} A file name for the snapshot that no other snapshot of
+   *     this build uses.
+   * @private
+   */
+  uniqueFileName_(name) {
+    const base = name.replace(/\.html$/, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '-') || 'snapshot';
+    const taken = this.manifest.snapshots.map(
+        (snapshot) => path.basename(snapshot.file));
+    let fileName = `${base}.html`;
+    for (let i = 2; taken.indexOf(fileName) !== -1; i++) {
+      fileName = `${base}-${i}.html`;
+    }
+    return fileName;
+  }
+
+  /**
+   * Removes the snapshot files listed in an existing manifest.json, so stale
+   * snapshots don't linger next to the new ones.
+   * @private
+   */
+  removePreviousSnapshots_() {
+    let previous;
+    try {
+      previous = readJson(this.manifestPath);
+    } catch (e) {
+      return;
+    }
+    ((previous && previous.snapshots) || []).forEach((snapshot) => {
+      try {
+        fs.unlinkSync(path.join(this.outputDir, snapshot.file));
+      } catch (e) {
+        // Already gone.
+      }
+    });
+  }
+
+  /** @private */
+  save_() {
+    writeJson(this.manifestPath, this.manifest);
+  }
+}
+
+
+module.exports = {
+  DEFAULT_OUTPUT_DIR,
+  DryRunBackend,
+};
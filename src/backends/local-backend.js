@@ -0,0 +1,432 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview A backend that stores builds in a local directory and compares
+ * them against a baseline build, for teams without a percy account or CI
+ * without network access.
+ *
+ * Snapshots are not rendered. Instead, each snapshot width gets a fingerprint:
+ * the hash of its html, the build resources it refers to (directly or through
+ * stylesheets) and the snapshot options. A width whose fingerprint differs
+ * from the baseline's is reported as changed. This catches every change to
+ * what would be rendered, including ones that would not show up visually.
+ * Assets that are only referenced by scripts are not found, see
+ * ../asset-discovery.js.
+ *
+ * The directory contains:
+ *   resources/<sha>           The content of every resource, shared by builds.
+ *   builds/<id>/build.json    The resources, snapshots and result of a build.
+ *   baseline.json             The id of the build new builds are compared to.
+ *
+ * The first build becomes the baseline. After that, a build only replaces the
+ * baseline when the backend is created with `updateBaseline: true` (e.g. on
+ * the main branch), similar to approving a build in percy.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {Backend} = require('./backend');
+const {discoverSnapshotResources} = require('../asset-discovery');
+const {readResourceContent, sha256} = require('../resources');
+const {makeDirs, readJson, writeJson} = require('../fs-utils');
+
+
+/**
+ * The directory builds are stored in when none is configured, relative to the
+ * current working directory.
+ * @const {string}
+ */
+const DEFAULT_DIR = '.percy-local';
+
+
+class LocalBackend extends Backend {
+  /**
+   * @param {{
+   *   dir: (string|undefined),
+   *   baseline: (string|undefined),
+   *   updateBaseline: (boolean|undefined),
+   *   logger: {log: Function},
+   * }} options `baseline` is the id of the build to compare against. It
+   *     defaults to the one in baseline.json.
+   */
+  constructor(options) {
+    super();
+
+    /** @type {string} */
+    this.dir = path.resolve(options.dir || DEFAULT_DIR);
+
+    /** @private {?string} */
+    this.baseline_ = options.baseline || null;
+
+    /** @private {boolean} */
+    this.updateBaseline_ = !!options.updateBaseline;
+
+    /** @private {{log: Function}} */
+    this.logger_ = options.logger;
+
+    /**
+     * The builds created by this backend, by id.
+     * @private {!Object<string, !Object>}
+     */
+    this.builds_ = {};
+
+    /**
+     * The snapshots created by this backend, by id.
+     * @private {!Object<string, {buildId: string, snapshot: !Object}>}
+     */
+    this.snapshots_ = {};
+
+    /**
+     * The resources of the builds created by this backend, with their
+     * content, by build id and resource url.
+     * @private {!Object<string, !Map<string, !Resource>>}
+     */
+    this.buildResources_ = {};
+
+    /**
+     * The references in the stylesheets of each build, by build id. See
+     * knownCssReferences() in ../asset-discovery.js.
+     * @private {!Object<string, !Map<string, !Array<string>>>}
+     */
+    this.cssReferenceCaches_ = {};
+  }
+
+  /** @override */
+  async createBuild(build) {
+    const id = new Date().toISOString().replace(/[-:.]/g, '') + '-' +
+        crypto.randomBytes(3).toString('hex');
+    this.builds_[id] = {
+      id: id,
+      project: build.project || null,
+      createdAt: new Date().toISOString(),
+      finalizedAt: null,
+      breakpoints: build.breakpoints || {},
+      resources: build.resources.map(serializeResource),
+      snapshots: [],
+      fingerprints: {},
+      result: null,
+    };
+    this.buildResources_[id] = new Map(build.resources.map(
+        (resource) => [resource.resourceUrl, resource]));
+    this.cssReferenceCaches_[id] = new Map();
+    this.saveBuild_(id);
+    return {
+      id: id,
+      webUrl: this.buildDir_(id),
+      missingResources: this.missingResources_(build.resources),
+    };
+  }
+
+  /** @override */
+  async uploadResource(buildId, resource, content) {
+    const file = this.resourcePath_(resource.sha);
+    makeDirs(path.dirname(file));
+    fs.writeFileSync(file, content);
+  }
+
+  /** @override */
+  async createSnapshot(buildId, snapshot) {
+    const build = this.getStoredBuild_(buildId);
+    const id = `${buildId}-${build.snapshots.length + 1}`;
+    const storedSnapshot = {
+      id: id,
+      name: snapshot.name,
+      widths: snapshot.widths,
+      enableJavaScript: !!snapshot.enableJavaScript,
+      minHeight: snapshot.minHeight || null,
+      resources: snapshot.resources.map(serializeResource),
+      buildResourceUrls: [],
+      finalized: false,
+    };
+    build.snapshots.push(storedSnapshot);
+    this.snapshots_[id] = {buildId: buildId, snapshot: storedSnapshot};
+    storedSnapshot.buildResourceUrls = await this.referencedBuildResources_(
+        buildId, snapshot.resources);
+    this.saveBuild_(buildId);
+    return {
+      id: id,
+      missingResources: this.missingResources_(snapshot.resources),
+    };
+  }
+
+  /** @override */
+  async finalizeSnapshot(snapshotId) {
+    const entry = this.snapshots_[snapshotId];
+    if (!entry) {
+      throw new Error(`Unknown snapshot: ${snapshotId}`);
+    }
+    entry.snapshot.finalized = true;
+    this.saveBuild_(entry.buildId);
+  }
+
+  /**
+   * Fingerprints every snapshot width and compares them with the baseline.
+   * @override
+   */
+  async finalizeBuild(buildId) {
+    const build = this.getStoredBuild_(buildId);
+    build.finalizedAt = new Date().toISOString();
+    build.fingerprints = fingerprintBuild(build);
+
+    const baselineId = this.baseline_ ||
+        (readJson(path.join(this.dir, 'baseline.json')) || {}).buildId;
+    const baseline = baselineId && baselineId !== buildId ?
+        this.loadBuild_(baselineId) : null;
+    const changes = compareFingerprints(
+        baseline ? baseline.fingerprints : {}, build.fingerprints);
+    const becomesBaseline = !baseline || this.updateBaseline_;
+
+    const changedNames = changes.added.concat(changes.changed)
+        .map((change) => change.name);
+    const snapshots = build.snapshots.map((snapshot) => ({
+      name: snapshot.name,
+      reviewState: !becomesBaseline &&
+          changedNames.indexOf(snapshot.name) !== -1 ?
+          'unreviewed' : 'approved',
+    }));
+    const totalComparisons = build.snapshots.reduce(
+        (total, snapshot) => total + snapshot.widths.length, 0);
+    build.result = {
+      buildId: buildId,
+      webUrl: this.buildDir_(buildId),
+      state: 'finished',
+      failureReason: null,
+      totalSnapshots: build.snapshots.length,
+      totalSnapshotsUnreviewed: snapshots.filter(
+          (snapshot) => snapshot.reviewState === 'unreviewed').length,
+      totalComparisons: totalComparisons,
+      totalComparisonsDiff: changes.added.length + changes.changed.length,
+      snapshots: snapshots,
+      changes: changes,
+    };
+    this.saveBuild_(buildId);
+
+    if (becomesBaseline) {
+      writeJson(path.join(this.dir, 'baseline.json'), {buildId: buildId});
+      this.logger_.log(`[percy] Build ${buildId} is the new local baseline.`);
+    } else {
+      this.logger_.log(`[percy] Compared build ${buildId} with baseline ` +
+          `${baseline.id}: ${changes.added.length} added, ` +
+          `${changes.removed.length} removed, ` +
+          `${changes.changed.length} changed.`);
+    }
+  }
+
+  /** @override */
+  async getBuild(buildId) {
+    const build = this.loadBuild_(buildId);
+    if (!build.result) {
+      return {
+        buildId: buildId,
+        webUrl: this.buildDir_(buildId),
+        state: 'pending',
+        failureReason: null,
+        totalSnapshots: null,
+        totalSnapshotsUnreviewed: null,
+        totalComparisons: null,
+        totalComparisonsDiff: null,
+        snapshots: [],
+        changes: null,
+      };
+    }
+    return Object.assign({}, build.result, {snapshots: []});
+  }
+
+  /** @override */
+  async getBuildSnapshots(buildId) {
+    const build = this.loadBuild_(buildId);
+    return build.result ? build.result.snapshots : [];
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {!Object} A build created by this backend.
+   * @private
+   */
+  getStoredBuild_(buildId) {
+    const build = this.builds_[buildId];
+    if (!build) {
+      throw new Error(`Unknown build: ${buildId}`);
+    }
+    return build;
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {!Object} A build created by this backend, or read from disk.
+   * @private
+   */
+  loadBuild_(buildId) {
+    const build = this.builds_[buildId] ||
+        readJson(path.join(this.buildDir_(buildId), 'build.json'));
+    if (!build) {
+      throw new Error(`Unknown build: ${buildId}. Not found in ${this.dir}`);
+    }
+    return build;
+  }
+
+  /**
+   * @param {string} buildId
+   * @param {!Array<!Resource>} snapshotResources The snapshot html and the
+   *     assets that were discovered for it.
+   * @return {!Promise<!Array<string>>} The urls of the build resources the
+   *     snapshot refers to.
+   * @private
+   */
+  async referencedBuildResources_(buildId, snapshotResources) {
+    const buildResources = this.buildResources_[buildId];
+    const resources = new Map(buildResources);
+    snapshotResources.forEach((resource) => {
+      resources.set(resource.resourceUrl, resource);
+    });
+    const source = {
+      fetch: async (resourceUrl) => {
+        const resource = resources.get(resourceUrl);
+        return resource ? {
+          content: Buffer.from(readResourceContent(resource)),
+          mimetype: resource.mimetype,
+        } : null;
+      },
+    };
+    const root = snapshotResources.find((resource) => resource.isRoot);
+    const discovered = await discoverSnapshotResources(
+        readResourceContent(root).toString(), {
+          sources: [source],
+          knownUrls: new Set(buildResources.keys()),
+          cssReferenceCache: this.cssReferenceCaches_[buildId],
+        });
+    return discovered.known;
+  }
+
+  /**
+   * @param {!Array<!Resource>} resources
+   * @return {!Array<string>} The shas of the resources that are not stored.
+   * @private
+   */
+  missingResources_(resources) {
+    const missing = [];
+    resources.forEach((resource) => {
+      if (missing.indexOf(resource.sha) === -1 &&
+          !fs.existsSync(this.resourcePath_(resource.sha))) {
+        missing.push(resource.sha);
+      }
+    });
+    return missing;
+  }
+
+  /**
+   * @param {string} buildId
+   * @private
+   */
+  saveBuild_(buildId) {
+    writeJson(path.join(this.buildDir_(buildId), 'build.json'),
+        this.builds_[buildId]);
+  }
+
+  /**
+   * @param {string} buildId
+   * @return {string}
+   * @private
+   */
+  buildDir_(buildId) {
+    return path.join(this.dir, 'builds', buildId);
+  }
+
+  /**
+   * @param {string} sha
+   * @return {string}
+   * @private
+   */
+  resourcePath_(sha) {
+    return path.join(this.dir, 'resources', sha);
+  }
+}
+
+
+/**
+ * @param {!Resource} resource
+ * @return {!Object} The resource without its content, for build.json.
+ */
+function serializeResource(resource) {
+  return {
+    resourceUrl: resource.resourceUrl,
+    sha: resource.sha,
+    mimetype: resource.mimetype || null,
+    isRoot: !!resource.isRoot,
+  };
+}
+
+
+/**
+ * Hashes everything a snapshot is rendered with: its own resources and the
+ * build resources it refers to. Widths share the fingerprint of their
+ * snapshot, but are compared individually so that added and removed widths
+ * are reported.
+ * @param {!Object} build A stored build.
+ * @return {!Object<string, !Object<string, string>>} The fingerprint of each
+ *     width by snapshot name.
+ */
+function fingerprintBuild(build) {
+  const fingerprints = {};
+  build.snapshots.forEach((snapshot) => {
+    const buildResources = build.resources.filter((resource) =>
+        snapshot.buildResourceUrls.indexOf(resource.resourceUrl) !== -1);
+    const resources = snapshot.resources.concat(buildResources)
+        .map((resource) => `${resource.resourceUrl} ${resource.sha}`)
+        .sort();
+    const fingerprint = sha256(JSON.stringify({
+      enableJavaScript: snapshot.enableJavaScript,
+      minHeight: snapshot.minHeight || null,
+      resources: resources,
+    }));
+    fingerprints[snapshot.name] = {};
+    snapshot.widths.forEach((width) => {
+      fingerprints[snapshot.name][width] = fingerprint;
+    });
+  });
+  return fingerprints;
+}
+
+
+/**
+ * @param {!Object<string, !Object<string, string>>} baseline
+ * @param {!Object<string, !Object<string, string>>} current
+ * @return {{
+ *   added: !Array<{name: string, width: number}>,
+ *   removed: !Array<{name: string, width: number}>,
+ *   changed: !Array<{name: string, width: number}>,
+ * }}
+ */
+function compareFingerprints(baseline, current) {
+  const changes = {added: [], removed: [], changed: []};
+  Object.keys(current).forEach((name) => {
+    Object.keys(current[name]).forEach((width) => {
+      const change = {name: name, width: Number(width)};
+      if (!baseline[name] || !baseline[name][width]) {
+        changes.added.push(change);
+      } else if (baseline[name][width] !== current[name][width]) {
+        changes.changed.push(change);
+      }
+    });
+  });
+  Object.keys(baseline).forEach((name) => {
+    Object.keys(baseline[name]).forEach((width) => {
+      if (!current[name] || !current[name][width]) {
+        changes.removed.push({name: name, width: Number(width)});
+      }
+    });
+  });
+  return changes;
+}
+
+
+module.exports = {
+  DEFAULT_DIR,
+  LocalBackend,
+};
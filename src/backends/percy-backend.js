@@ -0,0 +1,221 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The default backend, which sends builds to percy.io through
+ * percy-client.
+ * https://github.com/percy/percy-js
+ */
+
+const PercyClient = require('percy-client');
+const Environment = require('percy-client/dist/environment');
+const {Backend} = require('./backend');
+const {PercyApiError} = require('../errors');
+const {requestOptionsFor} = require('../http-options');
+const {UNSENT_ERROR_CODES, parseRetryOptions, withRetry} =
+    require('../retry');
+
+
+class PercyBackend extends Backend {
+  /**
+   * @param {{
+   *   token: (string|undefined),
+   *   project: (string|undefined),
+   *   apiUrl: (string|undefined),
+   *   proxy: (string|boolean|undefined),
+   *   requestTimeout: (number|undefined),
+   *   ca: (string|!Buffer|!Array<string|!Buffer>|undefined),
+   *   caFile: (string|undefined),
+   *   logger: {log: Function},
+   *   retryOptions: (!RetryOptions|undefined),
+   * }} options `proxy`, `requestTimeout`, `ca` and `caFile` configure the
+   *     requests to the api, see requestOptionsFor() in ../http-options.js.
+   */
+  constructor(options) {
+    super();
+
+    /** @private {{log: Function}} */
+    this.logger_ = options.logger;
+
+    /**
+     * How api calls that fail with transient errors are retried. The client
+     * shares its retry options, so changes to them apply here too.
+     * @private {!RetryOptions}
+     */
+    this.retryOptions_ = options.retryOptions || parseRetryOptions();
+
+    /** @private {!Environment} */
+    this.environment_ = new Environment(
+        Object.assign({}, process.env, {PERCY_PROJECT: options.project}));
+
+    /** @type {!PercyClient} */
+    this.percyClient = new PercyClient({
+      // The token has write access only by default. Please reach out to the
+      // Percy team for a token with read access if you want to get build
+      // results from the server.
+      token: options.token,
+      apiUrl: options.apiUrl,
+      clientInfo: options.project,
+      environment: this.environment_,
+      // Not sure if we actually have to populate this with anything.
+      environmentInfo: '',
+    });
+
+    // percy-client has no options for its requests, so add ours to every
+    // request it makes.
+    const requestOptions =
+        requestOptionsFor(this.percyClient.apiUrl, options);
+    const httpClient = this.percyClient._httpClient;
+    this.percyClient._httpClient = (uri, percyRequestOptions) => httpClient(
+        uri, Object.assign({}, percyRequestOptions, requestOptions));
+  }
+
+  /** @override */
+  async createBuild(build) {
+    // environment.repo is defined by the PERCY_PROJECT environment variable.
+    const repo = this.environment_.repo;
+    const resources = build.resources.map(
+        (resource) => this.percyClient.makeResource(resource));
+    const response = await this.callApi_('Create build',
+        (percyClient) => percyClient.createBuild(repo, {resources}), false);
+    const percyBuildData = response.body.data;
+    return {
+      id: percyBuildData.id,
+      webUrl: percyBuildData.attributes['web-url'],
+      missingResources: parseMissingResources(response),
+    };
+  }
+
+  /** @override */
+  uploadResource(buildId, resource, content) {
+    return this.callApi_(`Upload ${resource.resourceUrl}`,
+        (percyClient) => percyClient.uploadResource(buildId, content), true);
+  }
+
+  /** @override */
+  async createSnapshot(buildId, snapshot) {
+    const resources = snapshot.resources.map(
+        (resource) => this.percyClient.makeResource(resource));
+    const response = await this.callApi_(`Create snapshot "${snapshot.name}"`,
+        (percyClient) => percyClient.createSnapshot(buildId, resources, {
+          name: snapshot.name,
+          widths: snapshot.widths,
+          enableJavaScript: snapshot.enableJavaScript,
+          minimumHeight: snapshot.minHeight,
+        }), false);
+    return {
+      id: response.body.data.id,
+      missingResources: parseMissingResources(response),
+    };
+  }
+
+  /** @override */
+  finalizeSnapshot(snapshotId) {
+    return this.callApi_('Finalize snapshot',
+        (percyClient) => percyClient.finalizeSnapshot(snapshotId), true);
+  }
+
+  /** @override */
+  finalizeBuild(buildId) {
+    return this.callApi_('Finalize build',
+        (percyClient) => percyClient.finalizeBuild(buildId), true);
+  }
+
+  /** @override */
+  async getBuild(buildId) {
+    const response = await this.callApi_('Get build',
+        (percyClient) => percyClient.getBuild(buildId), true);
+    return parseBuildResult(response.body.data);
+  }
+
+  /**
+   * Requests the snapshots of a build along with their review state. This is
+   * not wrapped by percy-client, so it goes through its authenticated (and
+   * retrying) GET helper. Like getBuild, it needs a token with read access.
+   * @override
+   */
+  async getBuildSnapshots(buildId) {
+    const response = await this.callApi_('Get build snapshots',
+        (percyClient) => percyClient._httpGet(
+            `${percyClient.apiUrl}/builds/${buildId}/snapshots`), true);
+    return (response.body.data || []).map((snapshotData) => {
+      const snapshotAttributes = snapshotData.attributes || {};
+      return {
+        name: snapshotAttributes['name'],
+        reviewState: snapshotAttributes['review-state'] || null,
+      };
+    });
+  }
+
+  /**
+   * Calls the percy api with the percy client, retrying transient failures
+   * according to the retry options. Each retry is logged. Calls that create a
+   * build or snapshot are only retried on network errors that show the
+   * request was never sent: a request that failed on the way back may have
+   * succeeded, and sending it again would create a duplicate build or be
+   * rejected because the snapshot name is taken.
+   * @param {string} description What the call does, for logging.
+   * @param {function(!PercyClient): !Promise<T>} apiCall
+   * @param {boolean} idempotent Whether the call can safely be repeated,
+   *     e.g. resource uploads, which are keyed by their sha.
+   * @return {!Promise<T>} Rejects with a PercyApiError.
+   * @template T
+   * @private
+   */
+  callApi_(description, apiCall, idempotent) {
+    const retryOptions = this.retryOptions_;
+    return withRetry(() => apiCall(this.percyClient), retryOptions,
+        (error, attempt, interval) => {
+          this.logger_.log(`[percy] ${description} failed, retrying in ` +
+              `${interval}ms (attempt ${attempt} of ${retryOptions.attempts}). ` +
+              PercyApiError.from(error).message);
+        }, idempotent ? undefined : UNSENT_ERROR_CODES).catch((error) => {
+          throw PercyApiError.from(error);
+        });
+  }
+}
+
+
+/**
+ * Checks the percy response to see if it says it's missing any of the resources
+ * in our registry so that they can be uploaded.
+ * @param {Object} response
+ * @return {!Array<string>} The shas of the missing resources.
+ */
+function parseMissingResources(response) {
+  const missingResources = response.body.data &&
+      response.body.data.relationships &&
+      response.body.data.relationships['missing-resources'] &&
+      response.body.data.relationships['missing-resources'].data || [];
+  return missingResources.map((missingResource) => missingResource.id);
+}
+
+
+/**
+ * Converts the json api build data returned by percy into a BuildResult.
+ * @param {Object} buildData The `data` of a get build response.
+ * @return {!BuildResult}
+ */
+function parseBuildResult(buildData) {
+  const attributes = buildData.attributes || {};
+  const valueOrNull = (key) => key in attributes ? attributes[key] : null;
+  return {
+    buildId: buildData.id,
+    webUrl: attributes['web-url'],
+    state: attributes['state'],
+    failureReason: valueOrNull('failure-reason'),
+    totalSnapshots: valueOrNull('total-snapshots'),
+    totalSnapshotsUnreviewed: valueOrNull('total-snapshots-unreviewed'),
+    totalComparisons: valueOrNull('total-comparisons'),
+    totalComparisonsDiff: valueOrNull('total-comparisons-diff'),
+    snapshots: [],
+    changes: null,
+  };
+}
+
+
+module.exports = {PercyBackend};
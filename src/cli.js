@@ -0,0 +1,357 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The percy-node command line interface, see USAGE. It snapshots
+ * the html files of a static site, and finalizes and checks builds that were
+ * created by other processes, e.g. parallel test runs.
+ *
+ *   percy-node snapshot ./dist --assets 'dist/assets/**' \
+ *       --breakpoints small=320,large=1440
+ */
+
+const fs = require('fs');
+const globby = require('globby');
+const path = require('path');
+const {PercyConfigError} = require('./errors');
+const {PercyNodeClient} = require('./percy-node-client');
+
+
+/**
+ * @const {string}
+ */
+const USAGE = `Usage: percy-node <command> [options]
+
+Commands:
+  snapshot <dir>        Snapshot every html file in the directory, named by
+                        its path in it, then finalize the build.
+  finalize <buildId>    Finalize a build that was created by another process.
+  status <buildId>      Wait for percy to process a build and check it for
+                        unreviewed diffs.
+
+Options:
+  --assets <glob>       Build files to upload. Can be repeated. Defaults to
+                        everything in <dir>.
+  --root-dir <dir>      The directory url paths are relative to. Defaults to
+                        <dir>.
+  --ignore <glob>       Build files to leave out. Can be repeated.
+  --breakpoints <list>  The snapshot widths by name, e.g. small=320,large=1440.
+  --enable-javascript   Render the snapshots with javascript enabled.
+  --no-finalize         Leave the build open for \`percy-node finalize\`.
+  --get-diffs           Wait for the build results and fail if the build
+                        failed or has unreviewed diffs.
+  --timeout <ms>        How long to wait for the build results.
+  --dry-run             Write the build to ./percy-dry-run instead of sending
+                        it to percy.
+  --config <file>       The config file to load.
+  --help                Show this help.
+
+Exits with 1 if the arguments or config are invalid, and 2 if percy fails.`;
+
+
+/**
+ * The options of the command line and whether they are flags, take a value or
+ * can be given several times.
+ * @const {!Object<string, string>}
+ */
+const CLI_OPTION_TYPES = {
+  'assets': 'list',
+  'root-dir': 'value',
+  'ignore': 'list',
+  'breakpoints': 'value',
+  'enable-javascript': 'flag',
+  'no-finalize': 'flag',
+  'get-diffs': 'flag',
+  'timeout': 'value',
+  'dry-run': 'flag',
+  'config': 'value',
+  'help': 'flag',
+};
+
+
+/**
+ * The commands by name, with the names of their arguments and the options
+ * they take besides --help.
+ * @const {!Object<string, {
+ *   args: !Array<string>,
+ *   options: !Array<string>,
+ *   run: function(!PercyNodeClient, !Array<string>, !Object): !Promise,
+ * }>}
+ */
+const COMMANDS = {
+  snapshot: {
+    args: ['dir'],
+    options: ['assets', 'root-dir', 'ignore', 'breakpoints',
+      'enable-javascript', 'no-finalize', 'get-diffs', 'timeout', 'dry-run',
+      'config'],
+    run: snapshotDirectory,
+  },
+  finalize: {
+    args: ['buildId'],
+    options: ['get-diffs', 'timeout', 'config'],
+    run: finalizeBuild,
+  },
+  status: {
+    args: ['buildId'],
+    options: ['timeout', 'config'],
+    run: checkBuildStatus,
+  },
+};
+
+
+/**
+ * Splits the command line arguments into the command, its arguments and the
+ * options, which are keyed by their camel cased names, e.g. `rootDir`. Values
+ * are given as `--name value` or `--name=value`.
+ * @param {!Array<string>} argv The arguments after `percy-node`.
+ * @return {{
+ *   command: ?string,
+ *   args: !Array<string>,
+ *   options: !Object<string, (boolean|string|!Array<string>)>,
+ * }}
+ * @throws {PercyConfigError} If an option is unknown or misses its value.
+ */
+function parseArgs(argv) {
+  const parsed = {command: null, args: [], options: {}};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      if (parsed.command) {
+        parsed.args.push(argv[i]);
+      } else {
+        parsed.command = argv[i];
+      }
+      continue;
+    }
+    const name = match[1];
+    const type = CLI_OPTION_TYPES[name];
+    const key = name.replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+    if (!type) {
+      throw new PercyConfigError(`Unknown option --${name}.`);
+    } else if (type == 'flag') {
+      if (match[2] !== undefined) {
+        throw new PercyConfigError(`--${name} does not take a value.`);
+      }
+      parsed.options[key] = true;
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new PercyConfigError(`--${name} needs a value.`);
+      }
+      value = argv[++i];
+    }
+    parsed.options[key] =
+        type == 'list' ? (parsed.options[key] || []).concat([value]) : value;
+  }
+  return parsed;
+}
+
+
+/**
+ * Runs a command.
+ * @param {!Array<string>} argv The arguments after `percy-node`.
+ * @param {!Object=} opt_clientOptions The options of the PercyNodeClient the
+ *     command uses.
+ * @return {!Promise<number>} The exit code: 0 if the command succeeded, 1 if
+ *     the arguments or config are invalid and 2 if percy failed.
+ */
+async function main(argv, opt_clientOptions = {}) {
+  const client = new PercyNodeClient(opt_clientOptions);
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.options.help) {
+      client.logger.log(USAGE);
+      return 0;
+    }
+    checkCommand(parsed);
+  } catch (error) {
+    client.logger.error(`[percy][ERROR] ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    await COMMANDS[parsed.command].run(client, parsed.args, parsed.options);
+    return 0;
+  } catch (error) {
+    client.logger.error(`[percy][ERROR] ${error.message}`);
+    return error instanceof PercyConfigError ? 1 : 2;
+  }
+}
+
+
+/**
+ * @param {{
+ *   command: ?string,
+ *   args: !Array<string>,
+ *   options: !Object,
+ * }} parsed See parseArgs().
+ * @throws {PercyConfigError} If the command is unknown, or doesn't take the
+ *     arguments or options.
+ */
+function checkCommand(parsed) {
+  if (!parsed.command) {
+    throw new PercyConfigError('No command given.');
+  }
+  const command = COMMANDS[parsed.command];
+  if (!command) {
+    throw new PercyConfigError(`Unknown command "${parsed.command}".`);
+  }
+  if (parsed.args.length != command.args.length) {
+    throw new PercyConfigError(`"percy-node ${parsed.command}" takes ` +
+        command.args.map((arg) => `<${arg}>`).join(' ') + '.');
+  }
+  Object.keys(CLI_OPTION_TYPES).forEach((name) => {
+    const key = name.replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+    if (parsed.options[key] !== undefined &&
+        command.options.indexOf(name) == -1) {
+      throw new PercyConfigError(
+          `"percy-node ${parsed.command}" does not take --${name}.`);
+    }
+  });
+}
+
+
+/**
+ * Snapshots every html file in a directory, named by its path in the
+ * directory, e.g. "about/index.html", and finalizes the build.
+ * @param {!PercyNodeClient} client
+ * @param {!Array<string>} args The directory.
+ * @param {!Object} options
+ * @return {!Promise}
+ */
+async function snapshotDirectory(client, args, options) {
+  const dir = args[0];
+  // Checked before the build is created, which would fail on it.
+  const pollOptions = parseTimeout(options.timeout);
+  const files = (await globby(['**/*.html'], {cwd: dir, nodir: true})).sort();
+  if (!files.length) {
+    throw new PercyConfigError(`There are no html files in ${dir}.`);
+  }
+
+  const setupOptions = {
+    assets: options.assets || [path.join(dir, '**')],
+    rootDirs: [options.rootDir || dir],
+  };
+  if (options.ignore) {
+    setupOptions.ignore = options.ignore;
+  }
+  if (options.breakpoints) {
+    setupOptions.breakpoints = parseBreakpoints(options.breakpoints);
+  }
+  if (options.dryRun) {
+    setupOptions.dryRun = true;
+  }
+  if (options.config) {
+    setupOptions.configFile = options.config;
+  }
+  let buildId = null;
+  client.on('build:created', (build) => {
+    buildId = build.id;
+  });
+  await client.setup(setupOptions);
+
+  // A failed snapshot must not keep the build from being finalized, or it
+  // would stay open in percy. finalizeBuild() rejects with it afterwards.
+  let snapshotError = null;
+  for (const file of files) {
+    await client.snapshot({
+      name: file,
+      content: fs.readFileSync(path.join(dir, file), 'utf8'),
+      enableJavaScript: options.enableJavascript,
+    }).catch((error) => {
+      snapshotError = snapshotError || error;
+    });
+  }
+  if (options.noFinalize) {
+    client.logger.log(`[percy] Build ${buildId} is left open, finalize it ` +
+        `with: percy-node finalize ${buildId}`);
+    if (snapshotError) {
+      throw snapshotError;
+    }
+    return;
+  }
+  await client.finalizeBuild(Object.assign(
+      {getDiffs: !!options.getDiffs}, pollOptions));
+}
+
+
+/**
+ * Finalizes a build that was created by another process.
+ * @param {!PercyNodeClient} client
+ * @param {!Array<string>} args The build id.
+ * @param {!Object} options
+ * @return {!Promise}
+ */
+async function finalizeBuild(client, args, options) {
+  await client.finalizeBuild(Object.assign({
+    buildId: args[0],
+    getDiffs: !!options.getDiffs,
+    configFile: options.config,
+  }, parseTimeout(options.timeout)));
+}
+
+
+/**
+ * Waits for percy to process a build and checks it for unreviewed diffs.
+ * @param {!PercyNodeClient} client
+ * @param {!Array<string>} args The build id.
+ * @param {!Object} options
+ * @return {!Promise}
+ */
+async function checkBuildStatus(client, args, options) {
+  const result = await client.checkBuildStatus(args[0], Object.assign(
+      {configFile: options.config}, parseTimeout(options.timeout)));
+  client.logger.log(`[percy] Build ${args[0]} is ${result.state}:`,
+      result.webUrl);
+}
+
+
+/**
+ * @param {string} value The value of --breakpoints, e.g.
+ *     "small=320,large=1440".
+ * @return {!Object<string, number>} The widths by breakpoint name.
+ * @throws {PercyConfigError} If the value is malformed.
+ */
+function parseBreakpoints(value) {
+  const breakpoints = {};
+  value.split(',').forEach((breakpoint) => {
+    const match = /^([^=]+)=(\d+)$/.exec(breakpoint.trim());
+    if (!match) {
+      throw new PercyConfigError('--breakpoints must be a list of ' +
+          `name=width pairs like "small=320,large=1440", got: ${value}`);
+    }
+    breakpoints[match[1]] = Number(match[2]);
+  });
+  return breakpoints;
+}
+
+
+/**
+ * @param {string|undefined} value The value of --timeout.
+ * @return {{timeout: (number|undefined)}} The poll options with the timeout.
+ * @throws {PercyConfigError} If the value is not a number of milliseconds.
+ */
+function parseTimeout(value) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new PercyConfigError(
+        `--timeout must be a number of milliseconds, got: ${value}`);
+  }
+  return {timeout: Number(value)};
+}
+
+
+module.exports = {
+  USAGE,
+  main,
+  parseArgs,
+};
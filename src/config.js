@@ -0,0 +1,349 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The options setup() takes, and the config file they can also
+ * be loaded from.
+ *
+ * The config file is .percy-node.json or percy-node.config.js (a module that
+ * exports the options) in the working directory, or the file given as the
+ * `configFile` setup option. Values are taken from, in order of precedence:
+ *   1. The options passed to setup().
+ *   2. The options passed to the PercyNodeClient constructor.
+ *   3. The environment variables, see ENV_VARIABLES.
+ *   4. The config file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const {PercyConfigError} = require('./errors');
+
+
+/**
+ * The config file names that are looked for in the working directory.
+ * @const {!Array<string>}
+ */
+const CONFIG_FILE_NAMES = ['.percy-node.json', 'percy-node.config.js'];
+
+
+/**
+ * What snapshot() can do when a snapshot with the same name has already been
+ * taken in the build. Percy would reject the second one.
+ *   - reject: Reject with a PercySnapshotError.
+ *   - warn: Log a warning and skip the snapshot. The default.
+ *   - suffix: Rename the snapshot to "<name> (2)", "<name> (3)", ...
+ * @const {!Array<string>}
+ */
+const DUPLICATE_SNAPSHOT_MODES = ['reject', 'warn', 'suffix'];
+
+
+/**
+ * The environment variables that take precedence over the config file.
+ * @const {!Object<string, string>}
+ */
+const ENV_VARIABLES = {
+  token: 'PERCY_TOKEN',
+  project: 'PERCY_PROJECT',
+  apiUrl: 'PERCY_API_URL',
+  dryRun: 'PERCY_DRY_RUN',
+  dryRunOutputDir: 'PERCY_DRY_RUN_DIR',
+  uploadConcurrency: 'PERCY_UPLOAD_CONCURRENCY',
+};
+
+
+/**
+ * The options setup() takes.
+ *   - assets: Globs of the build files to upload, the `buildDirs` of the
+ *     positional form.
+ *   - rootDirs: The directories url paths are relative to, relative to the
+ *     working directory. Without them, build file paths are relative to the
+ *     working directory, but discovered assets are not read from it, so that
+ *     files that happen to be there can't stand in for the ones served at
+ *     `baseUrl`.
+ *   - breakpoints: Widths in pixels by breakpoint name.
+ *   - debug: Whether to log debug information whatever the log level is.
+ *   - configFile: The config file to load instead of looking for one, or false
+ *     to load none.
+ * And the PercyNodeClient options that apply to a build: token, project,
+ * apiUrl, proxy, requestTimeout, ca, caFile, dryRun, dryRunOutputDir,
+ * exitOnFailure, baseUrl, discoverAssets, duplicateSnapshots,
+ * hashConcurrency, hashCache, ignore, maxFileSize, mimeTypes and
+ * uploadConcurrency.
+ * @typedef {{
+ *   assets: (!Array<string>|undefined),
+ *   rootDirs: (!Array<string>|undefined),
+ *   breakpoints: (!Object<string, number>|undefined),
+ *   debug: (boolean|undefined),
+ *   configFile: (string|boolean|undefined),
+ *   token: (string|undefined),
+ *   project: (string|undefined),
+ *   apiUrl: (string|undefined),
+ * }}
+ */
+var SetupOptions;
+
+
+/**
+ * The checks for every option: whether a value is valid, and a description of
+ * valid values for the error message.
+ * @const {!Object<string, {isValid: function(*): boolean, expected: string}>}
+ */
+const OPTION_CHECKS = {
+  assets: {isValid: isStringList, expected: 'a list of globs'},
+  rootDirs: {isValid: isStringList, expected: 'a list of directories'},
+  breakpoints: {
+    isValid: isBreakpoints,
+    expected: 'an object of widths in pixels by breakpoint name',
+  },
+  debug: {isValid: isBoolean, expected: 'true or false'},
+  configFile: {
+    isValid: (value) => value === false || isNonEmptyString(value),
+    expected: 'a file path or false',
+  },
+  token: {isValid: isNonEmptyString, expected: 'a string'},
+  project: {
+    isValid: (value) => {
+      return isNonEmptyString(value) && /^[^/]+\/[^/]+$/.test(value);
+    },
+    expected: 'a project slug like "my-org/my-project"',
+  },
+  apiUrl: {isValid: isHttpUrl, expected: 'an http(s) url'},
+  proxy: {
+    isValid: (value) => value === false || isHttpUrl(value),
+    expected: 'an http(s) url or false',
+  },
+  requestTimeout: {
+    isValid: (value) => typeof value == 'number' && value > 0,
+    expected: 'a positive number of milliseconds',
+  },
+  ca: {
+    isValid: (value) => isNonEmptyString(value) || isStringList(value),
+    expected: 'a PEM certificate or a list of them',
+  },
+  caFile: {isValid: isNonEmptyString, expected: 'a file path'},
+  dryRun: {isValid: isBoolean, expected: 'true or false'},
+  dryRunOutputDir: {isValid: isNonEmptyString, expected: 'a directory'},
+  exitOnFailure: {isValid: isBoolean, expected: 'true or false'},
+  baseUrl: {isValid: isHttpUrl, expected: 'an http(s) url'},
+  discoverAssets: {isValid: isBoolean, expected: 'true or false'},
+  duplicateSnapshots: {
+    isValid: (value) => DUPLICATE_SNAPSHOT_MODES.indexOf(value) !== -1,
+    expected: `one of ${DUPLICATE_SNAPSHOT_MODES.join(', ')}`,
+  },
+  hashConcurrency: {isValid: isPositiveInteger, expected: 'an integer >= 1'},
+  hashCache: {isValid: isNonEmptyString, expected: 'a file path'},
+  ignore: {isValid: isStringList, expected: 'a list of globs'},
+  maxFileSize: {
+    isValid: (value) => typeof value == 'number' && value > 0,
+    expected: 'a positive number of bytes',
+  },
+  mimeTypes: {
+    isValid: (value) => isObject(value) && Object.keys(value).every(
+        (extension) => isNonEmptyString(value[extension])),
+    expected: 'an object of content types by file extension',
+  },
+  uploadConcurrency: {isValid: isPositiveInteger, expected: 'an integer >= 1'},
+};
+
+
+/**
+ * Loads the options for setup() from the config file and merges them with the
+ * given ones.
+ * @param {!SetupOptions} setupOptions The options passed to setup().
+ * @param {!Object} clientOptions The options passed to the client.
+ * @param {string=} opt_cwd The directory to look for a config file in.
+ * @return {!Object} The client options with the setup options and the config
+ *     file values filled in, without `configFile`.
+ * @throws {PercyConfigError} If an option is invalid, or the config file can't
+ *     be loaded.
+ */
+function resolveSetupOptions(setupOptions, clientOptions, opt_cwd) {
+  const cwd = opt_cwd || process.cwd();
+  checkOptions(setupOptions, 'setup()');
+  const configFile = setupOptions.configFile === undefined ?
+      findConfigFile(cwd) :
+      setupOptions.configFile && path.resolve(cwd, setupOptions.configFile);
+
+  const fileOptions = configFile ? loadConfigFile(configFile) : {};
+  Object.keys(ENV_VARIABLES).forEach((key) => {
+    // The environment variable is read where the option is used.
+    if (process.env[ENV_VARIABLES[key]]) {
+      delete fileOptions[key];
+    }
+  });
+
+  const options = mergeOptions(fileOptions, clientOptions, setupOptions);
+  delete options.configFile;
+  // Build file paths are absolute, so the root directories must be too.
+  if (options.rootDirs) {
+    options.rootDirs =
+        options.rootDirs.map((rootDir) => path.resolve(cwd, rootDir));
+  }
+  return options;
+}
+
+
+/**
+ * @param {string} dir
+ * @return {?string} The path of the first config file in the directory.
+ */
+function findConfigFile(dir) {
+  for (let i = 0; i < CONFIG_FILE_NAMES.length; i++) {
+    const candidate = path.join(dir, CONFIG_FILE_NAMES[i]);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+
+/**
+ * @param {string} configFile An absolute path.
+ * @return {!Object} The validated options in the config file.
+ * @throws {PercyConfigError}
+ */
+function loadConfigFile(configFile) {
+  let options;
+  try {
+    options = path.extname(configFile) == '.js' ?
+        require(configFile) :
+        JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (e) {
+    throw new PercyConfigError(
+        `Could not load the percy-node config file ${configFile}: ` +
+        e.message, configFile);
+  }
+  if (!isObject(options)) {
+    throw new PercyConfigError(`The percy-node config file ${configFile} ` +
+        'must contain an object of options.', configFile);
+  }
+  if (options.configFile !== undefined) {
+    throw new PercyConfigError(`The percy-node config file ${configFile} ` +
+        'can\'t refer to another config file.', configFile);
+  }
+  checkOptions(options, configFile, configFile);
+  return Object.assign({}, options);
+}
+
+
+/**
+ * @param {!Object} options
+ * @param {string} source Where the options come from, for the error message.
+ * @param {?string=} opt_configFile
+ * @throws {PercyConfigError} If an option is unknown or has an invalid value.
+ */
+function checkOptions(options, source, opt_configFile) {
+  Object.keys(options).forEach((key) => {
+    const value = options[key];
+    const check = OPTION_CHECKS[key];
+    if (!check) {
+      throw new PercyConfigError(`Unknown percy-node option "${key}" in ` +
+          `${source}. Known options: ${Object.keys(OPTION_CHECKS).join(', ')}`,
+          opt_configFile);
+    }
+    if (value !== undefined && !check.isValid(value)) {
+      throw new PercyConfigError(`Invalid percy-node option "${key}" in ` +
+          `${source}: expected ${check.expected}, got ` +
+          `${JSON.stringify(value)}`, opt_configFile);
+    }
+  });
+}
+
+
+/**
+ * @param {...!Object} sources Options, in increasing order of precedence.
+ * @return {!Object} The merged options. Undefined values don't override.
+ */
+function mergeOptions(...sources) {
+  const merged = {};
+  sources.forEach((source) => {
+    Object.keys(source).forEach((key) => {
+      if (source[key] !== undefined) {
+        merged[key] = source[key];
+      }
+    });
+  });
+  return merged;
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value == 'object' && !Array.isArray(value);
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isBoolean(value) {
+  return typeof value == 'boolean';
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value == 'string' && value.length > 0;
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isBreakpoints(value) {
+  return isObject(value) &&
+      Object.keys(value).every((name) => isPositiveInteger(value[name]));
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isHttpUrl(value) {
+  if (typeof value != 'string') {
+    return false;
+  }
+  const protocol = url.parse(value).protocol;
+  return protocol == 'http:' || protocol == 'https:';
+}
+
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  DUPLICATE_SNAPSHOT_MODES,
+  ENV_VARIABLES,
+  resolveSetupOptions,
+};
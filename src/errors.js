@@ -0,0 +1,202 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Errors that setup(), snapshot() and finalizeBuild() reject
+ * with. All of them extend PercyNodeError so callers can tell percy failures
+ * apart from their own with a single instanceof check.
+ */
+
+
+/**
+ * Base class for every error raised by percy-node.
+ */
+class PercyNodeError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+
+/**
+ * A request to the percy api failed, e.g. with a 5xx response or a socket
+ * error.
+ */
+class PercyApiError extends PercyNodeError {
+  /**
+   * @param {string} message
+   * @param {{
+   *   statusCode: (number|undefined),
+   *   method: (string|undefined),
+   *   endpoint: (string|undefined),
+   *   cause: (Error|undefined),
+   * }=} opt_details
+   */
+  constructor(message, opt_details = {}) {
+    super(message);
+    /**
+     * The http status code of the response, or null if no response was
+     * received (e.g. the connection was reset).
+     * @type {?number}
+     */
+    this.statusCode = opt_details.statusCode || null;
+    /** @type {?string} */
+    this.method = opt_details.method || null;
+    /**
+     * The url of the api endpoint that was called.
+     * @type {?string}
+     */
+    this.endpoint = opt_details.endpoint || null;
+    /**
+     * The error raised by the http client.
+     * @type {?Error}
+     */
+    this.cause = opt_details.cause || null;
+  }
+
+  /**
+   * Wraps an error raised by percy-client (which uses request-promise) in a
+   * PercyApiError. Errors that are already percy-node errors are returned
+   * unchanged.
+   * @param {*} error
+   * @return {!PercyNodeError}
+   */
+  static from(error) {
+    if (error instanceof PercyNodeError) {
+      return error;
+    }
+    const options = (error && error.options) || {};
+    const statusCode = error && error.statusCode;
+    const method = options.method;
+    const endpoint = options.uri || options.url;
+    const request = [statusCode, method, endpoint].filter(Boolean).join(' ');
+    const reason = error && error.message || String(error);
+    return new PercyApiError(
+        `Percy API call failed${request ? ` (${request})` : ''}: ${reason}`,
+        {statusCode, method, endpoint, cause: error});
+  }
+}
+
+
+/**
+ * snapshot() was called with invalid arguments, or with the name of a snapshot
+ * that is already part of the build. The snapshot is not sent to percy.
+ */
+class PercySnapshotError extends PercyNodeError {
+  /**
+   * @param {string} message
+   * @param {*} snapshotName The name snapshot() was called with.
+   */
+  constructor(message, snapshotName) {
+    super(message);
+    /** @type {*} */
+    this.snapshotName = snapshotName;
+  }
+}
+
+
+/**
+ * setup() was called with invalid options, or the percy-node config file could
+ * not be loaded or has invalid options. Nothing is sent to percy.
+ */
+class PercyConfigError extends PercyNodeError {
+  /**
+   * @param {string} message
+   * @param {?string=} opt_configFile The config file the options come from.
+   */
+  constructor(message, opt_configFile) {
+    super(message);
+    /** @type {?string} */
+    this.configFile = opt_configFile || null;
+  }
+}
+
+
+/**
+ * Percy finished processing the build but marked it as failed.
+ */
+class PercyBuildFailedError extends PercyNodeError {
+  /**
+   * @param {string} failureReason The build's `failure-reason` attribute, e.g.
+   *     'missing_resources'.
+   * @param {string=} opt_webUrl
+   */
+  constructor(failureReason, opt_webUrl) {
+    super(`build failed: ${failureReason}`);
+    /** @type {string} */
+    this.failureReason = failureReason;
+    /** @type {?string} */
+    this.webUrl = opt_webUrl || null;
+    /**
+     * The full build result, set by finalizeBuild().
+     * @type {?Object}
+     */
+    this.result = null;
+  }
+}
+
+
+/**
+ * Percy was still processing the build when finalizeBuild(true) stopped
+ * polling for it.
+ */
+class PercyBuildTimeoutError extends PercyNodeError {
+  /**
+   * @param {number} timeout The poll timeout in milliseconds.
+   * @param {string} state The last state percy reported, e.g. 'processing'.
+   * @param {string=} opt_webUrl
+   */
+  constructor(timeout, state, opt_webUrl) {
+    super(`timed out after ${timeout}ms waiting for the build to finish ` +
+        `processing (state: ${state})`);
+    /** @type {number} */
+    this.timeout = timeout;
+    /** @type {string} */
+    this.state = state;
+    /** @type {?string} */
+    this.webUrl = opt_webUrl || null;
+  }
+}
+
+
+/**
+ * The build finished but has diffs which have not been approved in the percy
+ * UI.
+ */
+class PercyUnreviewedDiffsError extends PercyNodeError {
+  /**
+   * @param {number} totalUnreviewed
+   * @param {string} webUrl
+   */
+  constructor(totalUnreviewed, webUrl) {
+    super(`unreviewed diffs found: ${totalUnreviewed}. Check ${webUrl}`);
+    /** @type {number} */
+    this.totalUnreviewed = totalUnreviewed;
+    /** @type {string} */
+    this.webUrl = webUrl;
+    /**
+     * The full build result, set by finalizeBuild().
+     * @type {?Object}
+     */
+    this.result = null;
+  }
+}
+
+
+module.exports = {
+  PercyNodeError,
+  PercyApiError,
+  PercySnapshotError,
+  PercyConfigError,
+  PercyBuildFailedError,
+  PercyBuildTimeoutError,
+  PercyUnreviewedDiffsError,
+};
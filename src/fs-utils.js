@@ -0,0 +1,60 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Small synchronous filesystem helpers shared by the backends
+ * that write to local directories and by the build resource hash cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * Creates a directory and any missing parent directories.
+ * @param {string} dir
+ */
+function makeDirs(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+  makeDirs(path.dirname(dir));
+  fs.mkdirSync(dir);
+}
+
+
+/**
+ * @param {string} file
+ * @return {*} The parsed content of the json file, or null if it doesn't
+ *     exist.
+ */
+function readJson(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+  return JSON.parse(content);
+}
+
+
+/**
+ * Writes a value as pretty printed json, creating the directory if needed.
+ * @param {string} file
+ * @param {*} value
+ */
+function writeJson(file, value) {
+  makeDirs(path.dirname(file));
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+}
+
+
+module.exports = {makeDirs, readJson, writeJson};
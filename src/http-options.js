@@ -0,0 +1,114 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The options for the http requests to the percy api: the proxy
+ * to go through, how long to wait for responses and which certificate
+ * authorities to trust.
+ *
+ * Without a `proxy` option, the HTTPS_PROXY (for https api urls) or HTTP_PROXY
+ * environment variable is used. Hosts listed in NO_PROXY are always requested
+ * directly, e.g. NO_PROXY=localhost,.corp.example.com.
+ */
+
+const fs = require('fs');
+const url = require('url');
+
+
+/**
+ * The options the percy client's requests are made with, see
+ * https://github.com/request/request#requestoptions-callback.
+ *   - proxy: The proxy url, or null to request the api directly.
+ *   - timeout: Milliseconds to wait for a response, if limited.
+ *   - ca: Certificates of the authorities to trust, if not the default ones.
+ * @typedef {{
+ *   proxy: ?string,
+ *   timeout: (number|undefined),
+ *   ca: (string|!Buffer|!Array<string|!Buffer>|undefined),
+ * }}
+ */
+var RequestOptions;
+
+
+/**
+ * @param {string} apiUrl
+ * @param {{
+ *   proxy: (string|boolean|undefined),
+ *   requestTimeout: (number|undefined),
+ *   ca: (string|!Buffer|!Array<string|!Buffer>|undefined),
+ *   caFile: (string|undefined),
+ * }} options `proxy` is the proxy url, or false to never use a proxy.
+ *     `caFile` is a PEM file to read `ca` from.
+ * @return {!RequestOptions}
+ */
+function requestOptionsFor(apiUrl, options) {
+  const requestOptions = {proxy: proxyFor(apiUrl, options.proxy)};
+  if (options.requestTimeout) {
+    requestOptions.timeout = options.requestTimeout;
+  }
+  if (options.ca) {
+    requestOptions.ca = options.ca;
+  } else if (options.caFile) {
+    requestOptions.ca = fs.readFileSync(options.caFile);
+  }
+  return requestOptions;
+}
+
+
+/**
+ * @param {string} apiUrl
+ * @param {string|boolean|undefined} proxy The proxy option.
+ * @return {?string} The proxy to request the api url through, if any.
+ */
+function proxyFor(apiUrl, proxy) {
+  const parsedUrl = url.parse(apiUrl);
+  if (proxy === false || isNoProxyHost(parsedUrl, process.env.NO_PROXY ||
+      process.env.no_proxy || '')) {
+    return null;
+  }
+  if (proxy) {
+    return proxy;
+  }
+  const env = process.env;
+  if (parsedUrl.protocol == 'https:') {
+    return env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY ||
+        env.http_proxy || null;
+  }
+  return env.HTTP_PROXY || env.http_proxy || null;
+}
+
+
+/**
+ * @param {!Object} parsedUrl
+ * @param {string} noProxy The comma separated hosts, with optional ports, that
+ *     are requested without a proxy. A leading dot matches subdomains only,
+ *     otherwise the host and its subdomains match. '*' matches every host.
+ * @return {boolean}
+ */
+function isNoProxyHost(parsedUrl, noProxy) {
+  const hostname = (parsedUrl.hostname || '').toLowerCase();
+  const port = parsedUrl.port ||
+      (parsedUrl.protocol == 'https:' ? '443' : '80');
+  return noProxy.split(',').some((entry) => {
+    const [host, entryPort] = entry.trim().toLowerCase().split(':');
+    if (host == '*') {
+      return true;
+    }
+    if (!host || (entryPort && entryPort != port)) {
+      return false;
+    }
+    if (host.charAt(0) == '.') {
+      return hostname.endsWith(host);
+    }
+    return hostname == host || hostname.endsWith('.' + host);
+  });
+}
+
+
+module.exports = {
+  requestOptionsFor,
+};
@@ -0,0 +1,268 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview The leveled logger every message of the client goes through.
+ *
+ * In text mode, messages are written to the console as they are. In json mode,
+ * every message is written to stdout as one json object per line, e.g.
+ *   {"time":"2017-10-04T12:00:00.000Z","level":"info","message":"Build ..."}
+ * along with a line for every client event, see CLIENT_EVENTS in
+ *   ./percy-node-client.js.
+ *
+ * The level and format fall back to the PERCY_LOG_LEVEL and PERCY_LOG_FORMAT
+ * environment variables, which are read every time something is logged.
+ */
+
+const util = require('util');
+
+
+/**
+ * The log levels from most to least verbose. 'silent' logs nothing.
+ * @const {!Array<string>}
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+
+/**
+ * The formats the logger writes messages in.
+ * @const {!Array<string>}
+ */
+const LOG_FORMATS = ['text', 'json'];
+
+
+/**
+ * The console method each level writes to in text mode.
+ * @const {!Object<string, string>}
+ */
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+
+/**
+ * The methods a leveled logger implements. `log` is the same as `info`, it is
+ * kept for loggers written before there were levels.
+ * @typedef {{
+ *   debug: function(...*),
+ *   info: function(...*),
+ *   warn: function(...*),
+ *   error: function(...*),
+ *   log: function(...*),
+ *   event: (function(string, *)|undefined),
+ * }}
+ */
+var LeveledLogger;
+
+
+/**
+ * Logs messages at or above a level, as text or json lines.
+ */
+class Logger {
+  /**
+   * @param {{
+   *   level: (string|undefined),
+   *   format: (string|undefined),
+   *   stream: ({write: function(string)}|undefined),
+   * }=} opt_options `level` is one of LOG_LEVELS and `format` one of
+   *     LOG_FORMATS. `stream` is where json lines are written, stdout by
+   *     default.
+   */
+  constructor(opt_options = {}) {
+    /** @private {string|undefined} */
+    this.level_ = checkOneOf(opt_options.level, LOG_LEVELS, 'Log level');
+
+    /** @private {string|undefined} */
+    this.format_ = checkOneOf(opt_options.format, LOG_FORMATS, 'Log format');
+
+    /** @private {{write: function(string)}} */
+    this.stream_ = opt_options.stream || process.stdout;
+  }
+
+  /** @return {string} The least severe level that is logged. */
+  get level() {
+    return this.level_ ||
+        oneOfOrDefault(process.env.PERCY_LOG_LEVEL, LOG_LEVELS, 'info');
+  }
+
+  /** @return {string} */
+  get format() {
+    return this.format_ ||
+        oneOfOrDefault(process.env.PERCY_LOG_FORMAT, LOG_FORMATS, 'text');
+  }
+
+  /**
+   * @param {string} level
+   * @return {boolean} Whether messages of the level are logged.
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /** @param {...*} args */
+  debug(...args) {
+    this.write_('debug', args);
+  }
+
+  /** @param {...*} args */
+  info(...args) {
+    // Through log() so that spies on log() see every info message.
+    this.log(...args);
+  }
+
+  /** @param {...*} args */
+  log(...args) {
+    this.write_('info', args);
+  }
+
+  /** @param {...*} args */
+  warn(...args) {
+    this.write_('warn', args);
+  }
+
+  /** @param {...*} args */
+  error(...args) {
+    this.write_('error', args);
+  }
+
+  /**
+   * Writes a client event as a json line. Events are not logged in text mode.
+   * @param {string} eventName
+   * @param {*} data
+   */
+  event(eventName, data) {
+    if (this.format != 'json' || !this.isLevelEnabled('info')) {
+      return;
+    }
+    this.writeLine_({level: 'info', event: eventName, data: data});
+  }
+
+  /**
+   * @param {string} level
+   * @param {!Array<*>} args
+   * @private
+   */
+  write_(level, args) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    if (this.format == 'json') {
+      this.writeLine_({
+        level: level,
+        // The prefixes only help to spot percy in text output.
+        message: util.format(...args)
+            .replace(/^\s*\[percy\](\[[A-Z]+\]| DEBUG)?\s*/, ''),
+      });
+    } else {
+      console[CONSOLE_METHODS[level]](...args);
+    }
+  }
+
+  /**
+   * @param {!Object} entry
+   * @private
+   */
+  writeLine_(entry) {
+    const line = Object.assign({time: new Date().toISOString()}, entry);
+    this.stream_.write(JSON.stringify(line, serializeErrors) + '\n');
+  }
+}
+
+
+/**
+ * Fills in the levels a logger doesn't implement, so that loggers with only
+ * `log` and `error` keep working. Info messages go to `log`, debug messages
+ * and warnings the logger can't handle go to the fallback logger.
+ * @param {!Object} logger
+ * @param {!LeveledLogger} fallback
+ * @return {!LeveledLogger} The logger itself if it implements every level.
+ */
+function toLeveledLogger(logger, fallback) {
+  const methods = ['debug', 'info', 'warn', 'error', 'log'];
+  if (methods.every((method) => typeof logger[method] == 'function')) {
+    return logger;
+  }
+  const info = (...args) => (logger.info || logger.log).apply(logger, args);
+  const call = (method) => (...args) => {
+    return logger[method] ?
+        logger[method](...args) : fallback[method](...args);
+  };
+  return {
+    debug: call('debug'),
+    info: info,
+    log: logger.log ? call('log') : info,
+    warn: call('warn'),
+    error: call('error'),
+    event: logger.event ? logger.event.bind(logger) : undefined,
+  };
+}
+
+
+/**
+ * @param {string|undefined} value
+ * @param {!Array<string>} allowed
+ * @param {string} description For the error message.
+ * @return {string|undefined} The value, in lower case.
+ * @throws {TypeError} If the value is given and not one of the allowed ones.
+ */
+function checkOneOf(value, allowed, description) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const lowerCase = String(value).toLowerCase();
+  if (allowed.indexOf(lowerCase) === -1) {
+    throw new TypeError(
+        `${description} must be one of ${allowed.join(', ')}, got: ${value}`);
+  }
+  return lowerCase;
+}
+
+
+/**
+ * @param {string|undefined} value An environment variable.
+ * @param {!Array<string>} allowed
+ * @param {string} defaultValue
+ * @return {string} The value in lower case if it is allowed, otherwise the
+ *     default.
+ */
+function oneOfOrDefault(value, allowed, defaultValue) {
+  const lowerCase = (value || '').toLowerCase();
+  return allowed.indexOf(lowerCase) === -1 ? defaultValue : lowerCase;
+}
+
+
+/**
+ * JSON.stringify() replacer that keeps the name, message and simple fields of
+ * errors, which would otherwise be serialized as {}. Other fields, like the
+ * http response an api error was caused by, are left out.
+ * @param {string} key
+ * @param {*} value
+ * @return {*}
+ */
+function serializeErrors(key, value) {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  const serialized = {name: value.name, message: value.message};
+  Object.keys(value).forEach((field) => {
+    if (value[field] === null || typeof value[field] != 'object') {
+      serialized[field] = value[field];
+    }
+  });
+  return serialized;
+}
+
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  Logger,
+  toLeveledLogger,
+};
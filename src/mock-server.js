@@ -0,0 +1,629 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview An in-process fake of the percy api, to test percy-node
+ * wiring without mocking every request by hand. It implements the calls the
+ * percy backend makes: create build, the missing resources negotiation,
+ * resource uploads, create and finalize snapshot, finalize build, get build
+ * and get build snapshots. Everything it receives is recorded.
+ *
+ *   const {createMockServer} = require('percy-node/testing');
+ *
+ *   const server = createMockServer({buildStates: ['processing', 'finished']});
+ *   const apiUrl = await server.start();
+ *   const client = new PercyNodeClient(
+ *       {token: 'token', project: 'foo/bar', apiUrl: apiUrl});
+ *   ...
+ *   expect(server.builds[0].snapshots.map((s) => s.name)).toEqual(['home']);
+ *   await server.stop();
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+
+/**
+ * The names of the api calls the mock server implements, which failNext() and
+ * requestsFor() take.
+ * @const {!Array<string>}
+ */
+const MOCK_SERVER_ROUTES = [
+  'createBuild', 'uploadResource', 'createSnapshot', 'finalizeSnapshot',
+  'finalizeBuild', 'getBuild', 'getBuildSnapshots',
+];
+
+
+/**
+ * The path of each route, below /api/v1.
+ * @const {!Array<{name: string, method: string, path: !RegExp}>}
+ */
+const ROUTE_PATHS = [
+  {name: 'createBuild', method: 'POST', path: /^\/projects\/(.+)\/builds\/?$/},
+  {name: 'uploadResource', method: 'POST',
+    path: /^\/builds\/([^/]+)\/resources\/?$/},
+  {name: 'createSnapshot', method: 'POST',
+    path: /^\/builds\/([^/]+)\/snapshots\/?$/},
+  {name: 'finalizeSnapshot', method: 'POST',
+    path: /^\/snapshots\/([^/]+)\/finalize$/},
+  {name: 'finalizeBuild', method: 'POST',
+    path: /^\/builds\/([^/]+)\/finalize$/},
+  {name: 'getBuild', method: 'GET', path: /^\/builds\/([^/]+)$/},
+  {name: 'getBuildSnapshots', method: 'GET',
+    path: /^\/builds\/([^/]+)\/snapshots\/?$/},
+];
+
+
+/**
+ * How the mock server behaves. All of them can be changed with configure().
+ *   - token: The only token that is accepted, others get a 401. Any token is
+ *     accepted by default.
+ *   - buildStates: The states get build responds with after the build is
+ *     finalized, one per call. The last one is repeated, e.g.
+ *     ['processing', 'processing', 'finished']. Defaults to ['finished'].
+ *     Builds that are not finalized yet are 'pending'.
+ *   - totalSnapshotsUnreviewed: How many snapshots of a finished build have
+ *     unreviewed diffs. Defaults to 0.
+ *   - totalComparisonsDiff: How many comparisons of a finished build have
+ *     diffs. Defaults to totalSnapshotsUnreviewed.
+ *   - failureReason: Why a 'failed' build failed. Defaults to
+ *     'missing_resources'.
+ *   - cachedResources: The shas of the resources percy already has, which are
+ *     never reported missing. Uploaded resources are added to them.
+ * @typedef {{
+ *   token: (string|undefined),
+ *   buildStates: (!Array<string>|undefined),
+ *   totalSnapshotsUnreviewed: (number|undefined),
+ *   totalComparisonsDiff: (number|undefined),
+ *   failureReason: (string|undefined),
+ *   cachedResources: (!Array<string>|undefined),
+ * }}
+ */
+var MockServerOptions;
+
+
+/**
+ * A request the mock server received. `body` is the parsed json body, if any.
+ * @typedef {{
+ *   route: ?string,
+ *   method: string,
+ *   path: string,
+ *   headers: !Object<string, string>,
+ *   body: *,
+ * }}
+ */
+var RecordedRequest;
+
+
+/**
+ * A snapshot created on the mock server.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   widths: ?Array<number>,
+ *   enableJavaScript: ?boolean,
+ *   minimumHeight: ?number,
+ *   resources: !Array<{id: string, resourceUrl: string, isRoot: boolean}>,
+ *   missingResources: !Array<string>,
+ *   finalized: boolean,
+ * }}
+ */
+var MockSnapshot;
+
+
+/**
+ * A build created on the mock server. `missingResources` are the shas that
+ * were reported missing when the build was created, `uploadedResources` the
+ * shas of every resource uploaded to it, in order. `polls` counts the get
+ * build calls since it was finalized.
+ * @typedef {{
+ *   id: string,
+ *   project: string,
+ *   attributes: !Object,
+ *   resources: !Array<{id: string, resourceUrl: string, isRoot: boolean}>,
+ *   missingResources: !Array<string>,
+ *   uploadedResources: !Array<string>,
+ *   snapshots: !Array<!MockSnapshot>,
+ *   finalized: boolean,
+ *   polls: number,
+ * }}
+ */
+var MockBuild;
+
+
+class MockPercyServer {
+  /**
+   * @param {!MockServerOptions=} opt_options
+   */
+  constructor(opt_options) {
+    /** @private {!MockServerOptions} */
+    this.options_ = {};
+
+    /** @private {?http.Server} */
+    this.server_ = null;
+
+    /**
+     * The open connections, which keep-alive agents hold on to after their
+     * requests are done.
+     * @private {!Set<!net.Socket>}
+     */
+    this.sockets_ = new Set();
+
+    /**
+     * The base url of the api, e.g. http://localhost:4567/api/v1, once
+     * started.
+     * @type {?string}
+     */
+    this.apiUrl = null;
+
+    /** @type {!Array<!RecordedRequest>} */
+    this.requests = [];
+
+    /** @type {!Array<!MockBuild>} */
+    this.builds = [];
+
+    /** @private {!Set<string>} */
+    this.cachedResources_ = new Set();
+
+    /**
+     * The responses to fail the next calls of a route with, by route name.
+     * @private {!Object<string, !Array<{statusCode: number, detail: string}>>}
+     */
+    this.failures_ = {};
+
+    /** @private {number} */
+    this.lastSnapshotId_ = 0;
+
+    this.configure(opt_options || {});
+  }
+
+  /**
+   * Starts listening on a free port of localhost.
+   * @return {!Promise<string>} Resolves with the api url.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server_ = http.createServer(
+          (request, response) => this.handle_(request, response));
+      this.server_.on('connection', (socket) => {
+        this.sockets_.add(socket);
+        socket.on('close', () => this.sockets_.delete(socket));
+      });
+      this.server_.once('error', reject);
+      this.server_.listen(0, 'localhost', () => {
+        this.apiUrl = `http://localhost:${this.server_.address().port}/api/v1`;
+        resolve(this.apiUrl);
+      });
+    });
+  }
+
+  /**
+   * Stops listening. Connections that are still open are closed.
+   * @return {!Promise}
+   */
+  stop() {
+    if (!this.server_) {
+      return Promise.resolve();
+    }
+    const server = this.server_;
+    this.server_ = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      this.sockets_.forEach((socket) => socket.destroy());
+      this.sockets_.clear();
+    });
+  }
+
+  /**
+   * Changes how the mock server behaves, for the builds that are already
+   * created as well.
+   * @param {!MockServerOptions} options Options that are not given are kept.
+   */
+  configure(options) {
+    Object.keys(options).forEach((key) => {
+      if (options[key] !== undefined) {
+        this.options_[key] = options[key];
+      }
+    });
+    (options.cachedResources || []).forEach(
+        (sha) => this.cachedResources_.add(sha));
+  }
+
+  /**
+   * Responds to the next calls of a route with an error instead of handling
+   * them. percy-client retries 5xx responses on its own, so fail several
+   * calls to see the retries give up.
+   * @param {string} route One of MOCK_SERVER_ROUTES.
+   * @param {number} statusCode
+   * @param {number=} opt_times How many calls to fail. Defaults to 1.
+   */
+  failNext(route, statusCode, opt_times = 1) {
+    if (MOCK_SERVER_ROUTES.indexOf(route) == -1) {
+      throw new TypeError(`Unknown route "${route}". Use one of: ` +
+          MOCK_SERVER_ROUTES.join(', '));
+    }
+    const failures = this.failures_[route] || (this.failures_[route] = []);
+    for (let i = 0; i < opt_times; i++) {
+      failures.push({statusCode, detail: `Mock ${statusCode} for ${route}`});
+    }
+  }
+
+  /**
+   * @param {string} route One of MOCK_SERVER_ROUTES.
+   * @return {!Array<!RecordedRequest>} The requests received for the route.
+   */
+  requestsFor(route) {
+    return this.requests.filter((request) => request.route == route);
+  }
+
+  /**
+   * Forgets the recorded requests, builds, cached resources and pending
+   * failures. The options are kept.
+   */
+  reset() {
+    this.requests = [];
+    this.builds = [];
+    this.cachedResources_ = new Set(this.options_.cachedResources || []);
+    this.failures_ = {};
+    this.lastSnapshotId_ = 0;
+  }
+
+  /**
+   * @param {!http.IncomingMessage} request
+   * @param {!http.ServerResponse} response
+   * @private
+   */
+  handle_(request, response) {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const content = Buffer.concat(chunks).toString();
+      let body = null;
+      try {
+        body = content ? JSON.parse(content) : null;
+      } catch (e) {
+        this.respond_(response, 400, errorBody(400, 'Invalid json body'));
+        return;
+      }
+
+      const path = request.url.replace(/^\/api\/v1/, '').split('?')[0];
+      const route = ROUTE_PATHS.find((route) =>
+          route.method == request.method && route.path.test(path));
+      this.requests.push({
+        route: route ? route.name : null,
+        method: request.method,
+        path: request.url,
+        headers: request.headers,
+        body: body,
+      });
+
+      if (!route) {
+        this.respond_(response, 404, errorBody(404, 'Not found'));
+        return;
+      }
+      const token = (request.headers['authorization'] || '')
+          .replace(/^Token token=/, '');
+      if (!token ||
+          (this.options_.token && token != this.options_.token)) {
+        this.respond_(response, 401, errorBody(401, 'Invalid token'));
+        return;
+      }
+      const failure = (this.failures_[route.name] || []).shift();
+      if (failure) {
+        this.respond_(response, failure.statusCode,
+            errorBody(failure.statusCode, failure.detail));
+        return;
+      }
+
+      const param = decodeURIComponent(route.path.exec(path)[1]);
+      const [statusCode, responseBody] =
+          this.handleRoute_(route.name, param, body || {});
+      this.respond_(response, statusCode, responseBody);
+    });
+  }
+
+  /**
+   * @param {string} route
+   * @param {string} param The project, build id or snapshot id in the path.
+   * @param {!Object} body
+   * @return {!Array} The status code and the body of the response.
+   * @private
+   */
+  handleRoute_(route, param, body) {
+    if (route == 'createBuild') {
+      return this.createBuild_(param, body);
+    }
+    if (route == 'finalizeSnapshot') {
+      return this.finalizeSnapshot_(param);
+    }
+    const build = this.builds.find((build) => build.id == param);
+    if (!build) {
+      return [404, errorBody(404, `Build ${param} not found`)];
+    }
+    switch (route) {
+      case 'uploadResource':
+        return this.uploadResource_(build, body);
+      case 'createSnapshot':
+        return this.createSnapshot_(build, body);
+      case 'finalizeBuild':
+        return this.finalizeBuild_(build);
+      case 'getBuild':
+        return this.getBuild_(build);
+      case 'getBuildSnapshots':
+        return [200, {data: build.snapshots.map((snapshot, i) => ({
+          type: 'snapshots',
+          id: snapshot.id,
+          attributes: {
+            'name': snapshot.name,
+            'review-state':
+                i < this.unreviewedCount_(build) ? 'unreviewed' : 'approved',
+          },
+        }))}];
+    }
+  }
+
+  /**
+   * @param {string} project
+   * @param {!Object} body
+   * @return {!Array}
+   * @private
+   */
+  createBuild_(project, body) {
+    const data = body.data || {};
+    const resources = parseResources(data);
+    const build = {
+      id: String(this.builds.length + 1),
+      project: project,
+      attributes: data.attributes || {},
+      resources: resources,
+      missingResources: this.missingResources_(resources),
+      uploadedResources: [],
+      snapshots: [],
+      finalized: false,
+      polls: 0,
+    };
+    this.builds.push(build);
+    return [201, {data: {
+      type: 'builds',
+      id: build.id,
+      attributes: this.buildAttributes_(build, 'pending'),
+      relationships: missingResourcesRelationship(build.missingResources),
+    }}];
+  }
+
+  /**
+   * Accepts resources whose sha matches their content only.
+   * @param {!MockBuild} build
+   * @param {!Object} body
+   * @return {!Array}
+   * @private
+   */
+  uploadResource_(build, body) {
+    const data = body.data || {};
+    const content = Buffer.from(
+        (data.attributes || {})['base64-content'] || '', 'base64');
+    const sha = crypto.createHash('sha256').update(content).digest('hex');
+    if (sha != data.id) {
+      return [400, errorBody(400,
+          `The sha256 of the content is ${sha}, not ${data.id}`)];
+    }
+    this.cachedResources_.add(sha);
+    build.uploadedResources.push(sha);
+    return [201, {data: {type: 'resources', id: sha}}];
+  }
+
+  /**
+   * @param {!MockBuild} build
+   * @param {!Object} body
+   * @return {!Array}
+   * @private
+   */
+  createSnapshot_(build, body) {
+    if (build.finalized) {
+      return [400, errorBody(400, `Build ${build.id} is already finalized`)];
+    }
+    const data = body.data || {};
+    const attributes = data.attributes || {};
+    if (!attributes.name) {
+      return [400, errorBody(400, 'The snapshot name is missing')];
+    }
+    if (build.snapshots.some((snapshot) => snapshot.name == attributes.name)) {
+      return [400, errorBody(400,
+          `The name "${attributes.name}" has already been taken`)];
+    }
+    const resources = parseResources(data);
+    const snapshot = {
+      id: String(++this.lastSnapshotId_),
+      name: attributes.name,
+      widths: attributes.widths || null,
+      enableJavaScript: attributes['enable-javascript'] || null,
+      minimumHeight: attributes['minimum-height'] || null,
+      resources: resources,
+      missingResources: this.missingResources_(resources),
+      finalized: false,
+    };
+    build.snapshots.push(snapshot);
+    return [201, {data: {
+      type: 'snapshots',
+      id: snapshot.id,
+      attributes: {name: snapshot.name},
+      relationships: missingResourcesRelationship(snapshot.missingResources),
+    }}];
+  }
+
+  /**
+   * Like percy, refuses to finalize snapshots whose missing resources were not
+   * uploaded.
+   * @param {string} snapshotId
+   * @return {!Array}
+   * @private
+   */
+  finalizeSnapshot_(snapshotId) {
+    let snapshot;
+    this.builds.some((build) => {
+      snapshot = build.snapshots.find((snapshot) => snapshot.id == snapshotId);
+      return snapshot;
+    });
+    if (!snapshot) {
+      return [404, errorBody(404, `Snapshot ${snapshotId} not found`)];
+    }
+    const missing = snapshot.missingResources.filter(
+        (sha) => !this.cachedResources_.has(sha));
+    if (missing.length) {
+      return [400, errorBody(400, `Snapshot ${snapshotId} is missing ` +
+          `resources: ${missing.join(', ')}`)];
+    }
+    snapshot.finalized = true;
+    return [200, {success: true}];
+  }
+
+  /**
+   * @param {!MockBuild} build
+   * @return {!Array}
+   * @private
+   */
+  finalizeBuild_(build) {
+    build.finalized = true;
+    return [200, {success: true}];
+  }
+
+  /**
+   * Responds with the next of the scripted build states.
+   * @param {!MockBuild} build
+   * @return {!Array}
+   * @private
+   */
+  getBuild_(build) {
+    let state = 'pending';
+    if (build.finalized) {
+      const states = this.options_.buildStates || ['finished'];
+      state = states[Math.min(build.polls, states.length - 1)];
+      build.polls++;
+    }
+    return [200, {data: {
+      type: 'builds',
+      id: build.id,
+      attributes: this.buildAttributes_(build, state),
+    }}];
+  }
+
+  /**
+   * @param {!MockBuild} build
+   * @param {string} state
+   * @return {!Object} The json api attributes of the build.
+   * @private
+   */
+  buildAttributes_(build, state) {
+    const attributes = {
+      'state': state,
+      'web-url': `https://percy.io/${build.project}/builds/${build.id}`,
+      'total-snapshots': build.snapshots.length,
+    };
+    if (state == 'finished') {
+      const unreviewed = this.unreviewedCount_(build);
+      const diffs = this.options_.totalComparisonsDiff;
+      attributes['total-comparisons'] = build.snapshots.reduce(
+          (total, snapshot) => total + (snapshot.widths || [0]).length, 0);
+      attributes['total-comparisons-diff'] =
+          diffs === undefined ? unreviewed : diffs;
+      attributes['total-snapshots-unreviewed'] = unreviewed;
+    } else if (state == 'failed') {
+      attributes['failure-reason'] =
+          this.options_.failureReason || 'missing_resources';
+    }
+    return attributes;
+  }
+
+  /**
+   * @param {!MockBuild} build
+   * @return {number}
+   * @private
+   */
+  unreviewedCount_(build) {
+    return Math.min(this.options_.totalSnapshotsUnreviewed || 0,
+        build.snapshots.length);
+  }
+
+  /**
+   * @param {!Array<{id: string}>} resources
+   * @return {!Array<string>} The shas of the resources percy doesn't have.
+   * @private
+   */
+  missingResources_(resources) {
+    return resources.map((resource) => resource.id)
+        .filter((sha) => !this.cachedResources_.has(sha));
+  }
+
+  /**
+   * @param {!http.ServerResponse} response
+   * @param {number} statusCode
+   * @param {!Object} body
+   * @private
+   */
+  respond_(response, statusCode, body) {
+    response.writeHead(statusCode,
+        {'Content-Type': 'application/vnd.api+json'});
+    response.end(JSON.stringify(body));
+  }
+}
+
+
+/**
+ * @param {!MockServerOptions=} opt_options
+ * @return {!MockPercyServer} A mock server that is not started yet.
+ */
+function createMockServer(opt_options) {
+  return new MockPercyServer(opt_options);
+}
+
+
+/**
+ * @param {!Object} data The json api data of a build or snapshot.
+ * @return {!Array<{id: string, resourceUrl: string, isRoot: boolean}>}
+ */
+function parseResources(data) {
+  const resources = data.relationships && data.relationships.resources &&
+      data.relationships.resources.data || [];
+  return resources.map((resource) => {
+    const attributes = resource.attributes || {};
+    return {
+      id: resource.id,
+      resourceUrl: attributes['resource-url'],
+      isRoot: !!attributes['is-root'],
+    };
+  });
+}
+
+
+/**
+ * @param {!Array<string>} shas
+ * @return {!Object} The json api relationships listing the missing resources.
+ */
+function missingResourcesRelationship(shas) {
+  return {
+    'missing-resources': {
+      data: shas.map((sha) => ({type: 'resources', id: sha})),
+    },
+  };
+}
+
+
+/**
+ * @param {number} statusCode
+ * @param {string} detail
+ * @return {!Object} A json api error response.
+ */
+function errorBody(statusCode, detail) {
+  return {errors: [{status: String(statusCode), detail: detail}]};
+}
+
+
+module.exports = {
+  MOCK_SERVER_ROUTES,
+  MockPercyServer,
+  createMockServer,
+};
@@ -0,0 +1,172 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Takes snapshots of Puppeteer and Playwright pages. The live
+ * document is serialized with ./serialize-dom.js, and the stylesheets, images
+ * and fonts the page loaded from its own origin are taken from the page's
+ * network responses and sent along as snapshot resources.
+ *
+ *   const page = await browser.newPage();
+ *   percyNodeClient.puppeteer.trackPage(page);
+ *   await page.goto('http://localhost:4200/home');
+ *   await percyNodeClient.puppeteer.snapshotPage(page, 'home');
+ */
+
+const url = require('url');
+const {serializeDom} = require('./serialize-dom');
+
+
+/**
+ * The resource types, as reported by Puppeteer and Playwright, that are sent
+ * along with page snapshots.
+ * @const {!Array<string>}
+ */
+const PAGE_RESOURCE_TYPES = ['stylesheet', 'image', 'font'];
+
+
+/**
+ * The responses recorded for the current document of each tracked page, by
+ * url.
+ * @type {!WeakMap<!Object, !Map<string, {
+ *   mimetype: (string|undefined),
+ *   content: !Promise<?Buffer>,
+ * }>>}
+ */
+const pageResponses = new WeakMap();
+
+
+/**
+ * The options of a page snapshot, the SnapshotOptions other than name and
+ * content. `resources` take precedence over the ones the page loaded.
+ * @typedef {{
+ *   breakpoints: (!Array<string>|undefined),
+ *   widths: (!Array<number>|undefined),
+ *   enableJavaScript: (boolean|undefined),
+ *   minHeight: (number|undefined),
+ *   resources: (!Array<!Object>|undefined),
+ * }}
+ */
+var PageSnapshotOptions;
+
+
+/**
+ * Starts recording the stylesheets, images and fonts the page loads. Call it
+ * before navigating, otherwise the first snapshot of the page only has the
+ * resources that asset discovery finds. Tracking a page twice does nothing.
+ * The responses of a document are dropped once the page navigates away from
+ * it, so that long running pages don't hold on to them.
+ * @param {{
+ *   on: function(string, !Function),
+ *   mainFrame: function(): !Object,
+ * }} page A Puppeteer or Playwright page.
+ */
+function trackPage(page) {
+  if (pageResponses.has(page)) {
+    return;
+  }
+  const responses = new Map();
+  pageResponses.set(page, responses);
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) {
+      responses.clear();
+    }
+  });
+  page.on('response', (response) => {
+    const status = response.status();
+    if (status < 200 || status >= 300 || PAGE_RESOURCE_TYPES.indexOf(
+        response.request().resourceType()) == -1) {
+      return;
+    }
+    // Response bodies may no longer be available after the page navigates,
+    // so they are read right away. Puppeteer reads them with buffer(),
+    // Playwright with body().
+    const content = typeof response.buffer == 'function' ?
+        response.buffer() : response.body();
+    responses.set(response.url(), {
+      mimetype: (response.headers()['content-type'] || '').split(';')[0] ||
+          undefined,
+      content: content.catch(() => null),
+    });
+  });
+}
+
+
+/**
+ * Snapshots a Puppeteer or Playwright page. Its resources are the recorded
+ * responses of the current document that are from the page's origin, see
+ * trackPage(). Resources from other origins are left to percy.
+ * @param {!PercyNodeClient} client
+ * @param {{
+ *   on: function(string, !Function),
+ *   mainFrame: function(): !Object,
+ *   url: function(): string,
+ *   evaluate: function(!Function, ...*): !Promise,
+ * }} page
+ * @param {string} name
+ * @param {!PageSnapshotOptions=} opt_options
+ * @return {!Promise<?SnapshotResult>} See PercyNodeClient.snapshot().
+ */
+async function snapshotPage(client, page, name, opt_options = {}) {
+  trackPage(page);
+  const content = await page.evaluate(
+      serializeDom, {enableJavaScript: opt_options.enableJavaScript});
+  const loadedUrls = await page.evaluate(() => performance
+      .getEntriesByType('resource').map((entry) => entry.name));
+  const resources = await pageResources(page, loadedUrls);
+  const extraResources = opt_options.resources || [];
+  const extraUrls = new Set(
+      extraResources.map((resource) => resource.resourceUrl));
+  return client.snapshot(Object.assign({}, opt_options, {
+    name: name,
+    content: content,
+    resources: resources.filter(
+        (resource) => !extraUrls.has(resource.resourceUrl))
+        .concat(extraResources),
+  }));
+}
+
+
+/**
+ * @param {!Object} page
+ * @param {!Array<string>} loadedUrls The absolute urls of the resources the
+ *     current document loaded.
+ * @return {!Promise<!Array<{
+ *   resourceUrl: string,
+ *   content: !Buffer,
+ *   mimetype: (string|undefined),
+ * }>>} The recorded resources of the current document that are from the
+ *     page's origin, with their urls relative to it.
+ */
+async function pageResources(page, loadedUrls) {
+  const responses = pageResponses.get(page);
+  const pageUrl = url.parse(page.url());
+  const resources = [];
+  for (const loadedUrl of new Set(loadedUrls)) {
+    const response = responses.get(loadedUrl);
+    const parsedUrl = url.parse(loadedUrl);
+    if (!response || parsedUrl.protocol != pageUrl.protocol ||
+        parsedUrl.host != pageUrl.host) {
+      continue;
+    }
+    const content = await response.content;
+    if (content) {
+      resources.push({
+        resourceUrl: parsedUrl.path,
+        content: content,
+        mimetype: response.mimetype,
+      });
+    }
+  }
+  return resources;
+}
+
+
+module.exports = {
+  snapshotPage,
+  trackPage,
+};
@@ -35,6 +35,8 @@
  *
  * setup()
  *   Do this once before tests begin in the protractor `onPrepare` phase.
+ *   Takes an options object or the positional arguments, and reads the
+ *   .percy-node.json or percy-node.config.js config file, see ./config.js.
  *
  * snapshot()
  *   In each spec, call snapshot() which will create a snapshot of the html in
@@ -44,562 +46,1559 @@
  *   Runs in protractor onComplete phase after all test specs are finished by
  *   sending all of the snapshots together to percy api for processing.
  *
+ * The module level functions share one default client. To run several
+ * independent builds in the same process, create a client per build instead:
  *
- * Note: This client does not return any sort of status as to whether the
- * snapshots match or not. You have to check the percy dashboard to see if
- * snapshots differ.
+ *   const {PercyNodeClient} = require('percy-node');
+ *   const client = new PercyNodeClient({project: 'foo/bar'});
+ *   await client.setup(...);
  *
- * Here's a gist showing how you can check if diffs pass and return error exit
- * code if it fails. But this API is not advertised by Percy publicly so
- * support for it is limited.
- * https://gist.github.com/rdy/cb67b9c5403817b7dea3efcfc67429c7
+ *
+ * Failures never end the process by default. setup(), snapshot() and
+ * finalizeBuild() reject with one of the errors from ./errors.js instead, so
+ * the test runner can flush its reporters and the caller can decide whether a
+ * percy outage should fail CI. Pass `exitOnFailure: true` to the client to log
+ * the error and exit with code 2 instead.
+ *
+ * Backends: The client sends builds to a backend, see ./backends/backend.js.
+ * By default that is percy. Pass `backend: 'local'` to compare builds against
+ * a baseline stored in a local directory instead, or pass your own backend.
+ *
+ * Dry run mode: When there is no PERCY_TOKEN, or when dry run mode is forced
+ * with the `dryRun` option or PERCY_DRY_RUN=true, nothing is sent to percy.
+ * setup() and snapshot() still do all of their local work, and the build is
+ * written to a directory (the `dryRunOutputDir` option or PERCY_DRY_RUN_DIR,
+ * ./percy-dry-run by default) as a manifest.json plus one html file per
+ * snapshot. See ./backends/dry-run-backend.js.
+ *
+ * Events: Every client is an EventEmitter that reports what it is doing, see
+ * CLIENT_EVENTS. Listeners are called synchronously.
+ *
+ *   client.on('snapshot:finalized', (snapshot) => report(snapshot.name));
+ *
+ * Logging: Every message goes through a leveled logger, see ./logger.js. Set
+ * the `logLevel` and `logFormat` options (or PERCY_LOG_LEVEL and
+ * PERCY_LOG_FORMAT) to change what is logged and how, or pass your own
+ * `logger`.
+ *
+ * Note: Unless finalizeBuild(true) is used, this client does not return any
+ * sort of status as to whether the snapshots match or not. You have to check
+ * the percy dashboard to see if snapshots differ. finalizeBuild(true) waits for
+ * percy to finish processing and resolves with a BuildResult.
  */
 
-const crypto = require('crypto');
-const walk = require('walk');
-const fs = require('fs');
-const PercyClient = require('percy-client');
+const EventEmitter = require('events');
 const PromisePool = require('es6-promise-pool');
-const Environment = require('percy-client/dist/environment');
-const globby = require('globby');
+const {
+  PercyNodeError,
+  PercyApiError,
+  PercySnapshotError,
+  PercyConfigError,
+  PercyBuildFailedError,
+  PercyBuildTimeoutError,
+  PercyUnreviewedDiffsError,
+} = require('./errors');
+const {parseRetryOptions, delay} = require('./retry');
+const {DUPLICATE_SNAPSHOT_MODES, resolveSetupOptions} = require('./config');
+const {LOG_LEVELS, Logger, toLeveledLogger} = require('./logger');
+const {discoverSnapshotResources} = require('./asset-discovery');
+const {FileSource, HttpSource} = require('./resource-sources');
+const {protractorSnapshot, webDriverSnapshot} = require('./webdriver');
+const {snapshotPage, trackPage} = require('./page-snapshot');
+const {SERIALIZE_DOM_SCRIPT, serializeDom} = require('./serialize-dom');
+const {
+  PercyTestRun,
+  createMochaHooks,
+  installJasmine,
+  percySnapshot,
+} = require('./test-runners');
+const {
+  MAX_FILE_SIZE_BYTES,
+  makeResource,
+  mimetypeFor,
+  readResourceContent,
+  resourceSize,
+  gatherBuildResources,
+} = require('./resources');
+const {Backend} = require('./backends/backend');
+const {PercyBackend} = require('./backends/percy-backend');
+const {LocalBackend} = require('./backends/local-backend');
+const {DryRunBackend} = require('./backends/dry-run-backend');
+
 
-const MAX_FILE_SIZE_BYTES = 15728640;  // 15MB.
+/**
+ * The smallest width in pixels percy renders snapshots at.
+ * @const {number}
+ */
+const MIN_SNAPSHOT_WIDTH = 10;
 
 
-var percyClient, percyBuildPromise;
-var isPercyEnabled = true;
-var isDebugEnabled = false;
+/**
+ * The largest width in pixels percy renders snapshots at.
+ * @const {number}
+ */
+const MAX_SNAPSHOT_WIDTH = 2000;
 
 
 /**
- * An array of promises for when snapshots have finished uploading.
- * @type {Array<Promise>}
+ * The events a client emits, with what they are emitted with.
+ *   - build:created: {id, webUrl} once the backend has created the build.
+ *   - resource:uploaded: A ResourceEvent for every uploaded resource.
+ *   - resource:skipped: A ResourceEvent for every build file that is ignored
+ *     or too large, and every asset a snapshot refers to that is too large or
+ *     can't be found, see `reason`.
+ *   - snapshot:created: A SnapshotResult once the backend has created the
+ *     snapshot, before its resources are uploaded.
+ *   - snapshot:finalized: A SnapshotResult once the snapshot is complete.
+ *   - snapshot:failed: {name, error} for snapshots that are invalid, that
+ *     percy rejected as a bad request, or that could not be uploaded.
+ *   - build:finalized: {id, webUrl} once the build has been finalized.
+ *   - build:status: {id, webUrl, state, attempt} after every poll in
+ *     finalizeBuild(true).
+ *   - build:finished: The BuildResult once finalizeBuild(true) stopped
+ *     polling because the build finished or failed.
+ * @const {!Array<string>}
  */
-const snapshotResourceUploadPromises = [];
+const CLIENT_EVENTS = [
+  'build:created',
+  'resource:uploaded',
+  'resource:skipped',
+  'snapshot:created',
+  'snapshot:finalized',
+  'snapshot:failed',
+  'build:finalized',
+  'build:status',
+  'build:finished',
+];
 
 
 /**
- * A list of resources that percy does not yet have uploaded.
- * @type {Array<Promise>}
+ * How many build resources are uploaded at the same time by default.
+ * @const {number}
  */
-const buildResourceUploadPromises = [];
+const DEFAULT_UPLOAD_CONCURRENCY = 2;
 
 
 /**
- * A key value pairing where the key is the name of the breakpoint and the value
- * is the pixel width of the breakpoint.
- * @type {Object<string, number>}
+ * Default options for polling the Percy server for the build information in
+ * finalizeBuild(true). Polls every second for up to ~17 minutes.
+ * @const {!PollOptions}
  */
-var registeredBreakpoints = {};
+const DEFAULT_POLL_OPTIONS = {
+  pollInterval: 1000,
+  backoffMultiplier: 1,
+  maxPollInterval: 30000,
+  timeout: 1000000,
+  onPoll: null,
+};
 
 
 /**
- * Maximum trys to retrieve the build infomation from the Percy server.
- * @const {number}
+ * Options for how finalizeBuild(true) polls percy until the build has finished
+ * processing.
+ *   - pollInterval: Milliseconds to wait before the second poll.
+ *   - backoffMultiplier: The interval is multiplied by this after every poll.
+ *   - maxPollInterval: Upper bound for the interval in milliseconds.
+ *   - timeout: Milliseconds after which to stop polling and reject with a
+ *     PercyBuildTimeoutError.
+ *   - onPoll: Called with the build state and the 1-based attempt number after
+ *     every poll.
+ * @typedef {{
+ *   pollInterval: number,
+ *   backoffMultiplier: number,
+ *   maxPollInterval: number,
+ *   timeout: number,
+ *   onPoll: ?function(string, number),
+ * }}
  */
-const MAX_RETRIES_WHEN_PROCESSING = 1000;
+var PollOptions;
 
 
 /**
- * After app is ready, create a percy build and upload assets. Call this only
- * once per protractor test run (so in the karma onPrepare phase).
- * Call this in the protractor onPrepare() phase. It should be called only
- * once to setup the percy client to be shared across all specs.
- *
- *   It will:
- *   - create percy client
- *   - create manifest of asset (css, images) and send it to percy to determine
- *     which are missing from percy's server.
- *   - upload missing assets to percy.
- *
- * @param {Array<string>} buildDirs The directories where assets are stored.
- * @param {Array<string>} rootDirs The directory for the root of the app.
- *     This is used to change a local path to a url path.
- * @param {Object<string,number>} breakpointsConfig A key value pairing where
- *     the key is the name of the breakpoint and the value is the pixel width of
- *     the breakpoint. E.g.
- *     {
- *       small: 320,
- *       medium: 768,
- *       large: 1024,
- *     }
- * @param {boolean=} opt_isDebugEnabled If debug mode is enabled.
- * @return {Promise} Resolves when all assets have been uploaded to percy.
+ * The options object form of snapshot().
+ *   - name: The name of the snapshot.
+ *   - content: The html of the snapshot.
+ *   - breakpoints: Names of registered breakpoints to render the snapshot at.
+ *     Defaults to all registered breakpoints.
+ *   - widths: Pixel widths to render the snapshot at. Takes precedence over
+ *     breakpoints.
+ *   - enableJavaScript: Whether or not to enable javascript.
+ *   - minHeight: The minimum height in pixels of the screenshots.
+ *   - resources: Extra resources the html refers to that are not build
+ *     resources, e.g. a generated stylesheet or an image from a data url.
+ *     Uploaded along with the html if the backend doesn't have them yet.
+ * @typedef {{
+ *   name: string,
+ *   content: string,
+ *   breakpoints: (!Array<string>|undefined),
+ *   widths: (!Array<number>|undefined),
+ *   enableJavaScript: (boolean|undefined),
+ *   minHeight: (number|undefined),
+ *   resources: (!Array<{
+ *     resourceUrl: string,
+ *     content: (string|!Buffer),
+ *     mimetype: (string|undefined),
+ *   }>|undefined),
+ * }}
  */
-async function setup(buildDirs, rootDirs, breakpointsConfig,
-                     opt_isDebugEnabled = false) {
-  registeredBreakpoints = breakpointsConfig;
-  isDebugEnabled = opt_isDebugEnabled;
-  const environment = new Environment(process.env);
-  logger.log(`[percy] Setting up project "${process.env.PERCY_PROJECT}"`);
-  percyClient = new PercyClient({
-    // The token has write access only by default. Please reach out to the Percy team 
-    // for a token with read access if you want to get build results from the server.
-    token: process.env.PERCY_TOKEN,
-    clientInfo: process.env.PERCY_PROJECT,
-    environment: environment,
-    // Not sure if we actually have to populate this with anything.
-    environmentInfo: '',
-  });
-  const resourceManifestDict = gatherBuildResources(
-      percyClient, buildDirs, rootDirs);
+var SnapshotOptions;
 
-  // Convert resources from dict to array. Still may need dict later.
-  const resourceManifestArr = [];
-  Object.keys(resourceManifestDict).forEach(function(key) {
-    resourceManifestArr.push(resourceManifestDict[key]);
-  });
 
-  logDebug('Resource manifest', resourceManifestArr);
-
-  // Initialize the percy client and a new build.
-  // environment.repo is defined by the PERCY_PROJECT environment variable.
-  let repo = environment.repo;
-  // This tells the percy server about all of our build assets. The promise
-  // returns a build response which notifies us if any of the assets are not
-  // yet uploaded to the server.
-  // Return a promise and only resolve when all build resources are uploaded,
-  // which ensures that the output build dir is still available to be read from
-  // before deleted.
-  try {
-    // Assign to module variable so we can chain off of it elsewhere.
-    percyBuildPromise = percyClient.createBuild(repo,
-        {resources: resourceManifestArr});
-    const buildResponse = await percyBuildPromise;
-
-    // Here we process the response to check if percy says it's missing
-    // any of the assets. For the ones it's missing, we upload them.
-    var percyBuildData = buildResponse.body.data;
-    //console.log('PERCY BUILD RESPONSE', buildResponse.body);
-    logger.log('\n[percy] Build created:',
-        percyBuildData.attributes['web-url']);
-
-    // Upload all missing build resources.
-    var missingResources = parseMissingResources(buildResponse);
-    logDebug('Missing resources', missingResources);
-    if (missingResources && missingResources.length > 0) {
-      await uploadMissingResources(percyBuildData.id, missingResources,
-          resourceManifestDict);
-    }
-  } catch (err) {
-    handlePercyFailure(err);
-  }
-}
+/**
+ * The progress of the build resource uploads in setup(), passed to the
+ * onUploadProgress option after each upload.
+ *   - resourceUrl: The resource that was just uploaded.
+ *   - uploaded: How many resources have been uploaded.
+ *   - remaining: How many resources are left to upload.
+ *   - total: How many resources the backend is missing.
+ *   - bytesUploaded: The size of the uploaded resources in bytes.
+ *   - totalBytes: The size of all missing resources in bytes.
+ * @typedef {{
+ *   resourceUrl: string,
+ *   uploaded: number,
+ *   remaining: number,
+ *   total: number,
+ *   bytesUploaded: number,
+ *   totalBytes: number,
+ * }}
+ */
+var UploadProgress;
 
 
 /**
- * Creates a dom snapshot and adds it to the percy client.
- * It will:
- *   - create config for snapshot widths.
- *   - call percySnapshot() passing widths and html content.
- *   - trigger uploading snapshots to percy if it doesn't already have them.
- *
- * @param {string} name The name to use for this snapshot.
- *     E.g. 'carousel-simple'
- * @param {string} content The html content as a string to take a snapshot of.
- * @param {Array<string>=} opt_breakpoints A list of breakpoint names.
- * @param {boolean=} opt_enableJs Whether or not to enable javascript.
+ * What resource:uploaded and resource:skipped are emitted with.
+ *   - resourceUrl: The url path of the resource.
+ *   - snapshotName: The snapshot the resource belongs to, null for build
+ *     resources.
+ *   - size: The size of the resource in bytes, if known.
+ *   - reason: Why the resource was skipped, 'ignored', 'tooLarge' or
+ *     'notFound'.
+ *     Undefined for uploaded resources.
+ * @typedef {{
+ *   resourceUrl: string,
+ *   snapshotName: ?string,
+ *   size: (number|undefined),
+ *   reason: (string|undefined),
+ * }}
  */
-function snapshot(name, content, opt_breakpoints, opt_enableJs) {
-  const enableJs = opt_enableJs || false;
-  const defaultBreakpointNames = Object.keys(
-      registeredBreakpoints);
-  // Transform the `breakpoints` array of named breakpoints into an array of
-  // integer widths, mapped by the breakpoints config.
-  /** @type {Array<string>} */
-  var breakpointNamesList = opt_breakpoints || defaultBreakpointNames;
-
-  const widths = getWidthsFromBreakpointNames(breakpointNamesList);
-
-  // Add a new promise to the list of resource uploads so that finalize_build
-  // can wait on resource uploads. We MUST do this immediately here with a
-  // custom promise, not wait for the nested `uploadResource()` promise below,
-  // to avoid creating a race condition where the uploads array may be missing
-  // some possible upload promises.
-  //
-  // Nasty way to get a reference to the `resolve` method so that we can
-  // manually resolve this promise below.
-  // http://stackoverflow.com/a/26150465/128597
-  var resolveAfterHtmlResourceUploaded;
-  var htmlResourceUploadedPromise = new Promise(function(resolve) {
-    resolveAfterHtmlResourceUploaded = resolve;
-  });
-  snapshotResourceUploadPromises.push(htmlResourceUploadedPromise);
+var ResourceEvent;
+
+
+/**
+ * A snapshot that has been uploaded and finalized.
+ * @typedef {{
+ *   snapshotId: string,
+ *   name: string,
+ *   widths: !Array<number>,
+ * }}
+ */
+var SnapshotResult;
+
+
+/**
+ * A client for a single percy build. Each instance keeps its own percy client,
+ * build, breakpoints and pending uploads, so several independent builds can
+ * run in the same node process. Emits the CLIENT_EVENTS.
+ */
+class PercyNodeClient extends EventEmitter {
+  /**
+   * @param {{
+   *   token: (string|undefined),
+   *   project: (string|undefined),
+   *   apiUrl: (string|undefined),
+   *   proxy: (string|boolean|undefined),
+   *   requestTimeout: (number|undefined),
+   *   ca: (string|!Buffer|!Array<string|!Buffer>|undefined),
+   *   caFile: (string|undefined),
+   *   logger: (Object|undefined),
+   *   logLevel: (string|undefined),
+   *   logFormat: (string|undefined),
+   *   exitOnFailure: (boolean|undefined),
+   *   retry: (Object|undefined),
+   *   dryRun: (boolean|undefined),
+   *   dryRunOutputDir: (string|undefined),
+   *   backend: (string|!Backend|undefined),
+   *   backendOptions: (Object|undefined),
+   *   duplicateSnapshots: (string|undefined),
+   *   discoverAssets: (boolean|undefined),
+   *   baseUrl: (string|undefined),
+   *   hashConcurrency: (number|undefined),
+   *   hashCache: (string|undefined),
+   *   ignore: (!Array<string>|undefined),
+   *   maxFileSize: (number|undefined),
+   *   mimeTypes: (!Object<string, string>|undefined),
+   *   uploadConcurrency: (number|undefined),
+   *   onUploadProgress: (function(!UploadProgress)|undefined),
+   * }=} opt_options Values that are not given fall back to the PERCY_TOKEN,
+   *     PERCY_PROJECT, PERCY_DRY_RUN and PERCY_DRY_RUN_DIR environment
+   *     variables and the shared module logger. Dry run mode is enabled
+   *     automatically when there is no token. `apiUrl` (or PERCY_API_URL)
+   *     is the percy api to send builds to. `proxy` (otherwise HTTPS_PROXY
+   *     and NO_PROXY are honored), `requestTimeout` in milliseconds and the
+   *     trusted certificate authorities, `ca` or `caFile`, apply to the
+   *     requests to the api, see ./http-options.js.
+   *     `logger` takes any of the LeveledLogger methods from ./logger.js,
+   *     levels it doesn't implement fall back to its `log` method or the
+   *     module logger. Without a logger, `logLevel` (one of LOG_LEVELS) and
+   *     `logFormat` ('text' or 'json') configure a new Logger.
+   *     `backend` is 'percy' (the default), 'local' or a Backend instance.
+   *     `backendOptions` are passed to the built-in backend, e.g.
+   *     `{dir: '.percy-local', updateBaseline: true}` for the local one.
+   *     Set exitOnFailure to log failures and exit the process with code 2
+   *     instead of rejecting, which can also be done in the setup options
+   *     and the config file. `retry` takes any of the RetryOptions from
+   *     ./retry.js, e.g. `{attempts: 5, statusCodes: [502, 503]}`.
+   *     `duplicateSnapshots` is one of DUPLICATE_SNAPSHOT_MODES.
+   *     Set `discoverAssets` to false to only upload the build resources and
+   *     the resources passed to snapshot(), see ./asset-discovery.js.
+   *     `baseUrl` is a server to request discovered assets from when they
+   *     are not in the root directories, e.g. 'http://localhost:4200' for a
+   *     dev server that serves its assets from memory.
+   *     `hashConcurrency` is how many build files are hashed at the same time.
+   *     `hashCache` is a json file to keep the hashes of build files in
+   *     between runs, so unchanged files are not read again.
+   *     `ignore`, `maxFileSize` and `mimeTypes` control which build files
+   *     become resources and their content types, see gatherBuildResources()
+   *     in ./resources.js.
+   *     `uploadConcurrency` is how many build resources are uploaded at the
+   *     same time. It falls back to the PERCY_UPLOAD_CONCURRENCY environment
+   *     variable, then DEFAULT_UPLOAD_CONCURRENCY. `onUploadProgress` is
+   *     called after each build resource upload.
+   */
+  constructor(opt_options = {}) {
+    super();
+
+    /** @private {!Object} */
+    this.clientOptions_ = opt_options;
+
+    /**
+     * The client options along with the setup options of the current build.
+     * @private {!Object}
+     */
+    this.options_ = opt_options;
+    if (opt_options.baseUrl) {
+      // Fail early on an invalid url.
+      new HttpSource(opt_options.baseUrl);
+    }
+    if (opt_options.uploadConcurrency !== undefined) {
+      parseConcurrency(opt_options.uploadConcurrency, 'uploadConcurrency');
+    }
+    if (opt_options.onUploadProgress &&
+        typeof opt_options.onUploadProgress != 'function') {
+      throw new TypeError('"onUploadProgress" must be a function.');
+    }
+
+    /**
+     * Separate logging so we can more easily spy/mock logging.
+     * @type {!LeveledLogger}
+     */
+    this.logger = logger;
+    if (opt_options.logger) {
+      this.logger = toLeveledLogger(opt_options.logger, logger);
+    } else if (opt_options.logLevel || opt_options.logFormat) {
+      this.logger = new Logger(
+          {level: opt_options.logLevel, format: opt_options.logFormat});
+    }
+
+    /**
+     * Whether to exit the process instead of rejecting when percy fails.
+     * @type {boolean}
+     */
+    this.exitOnFailure = !!opt_options.exitOnFailure;
+
+    /**
+     * How api calls that fail with transient errors are retried.
+     * @type {!RetryOptions}
+     */
+    this.retryOptions = parseRetryOptions(opt_options.retry);
+
+    /**
+     * What to do with snapshots whose name has already been taken.
+     * @private {string}
+     */
+    this.duplicateSnapshots_ = opt_options.duplicateSnapshots || 'warn';
+    if (DUPLICATE_SNAPSHOT_MODES.indexOf(this.duplicateSnapshots_) === -1) {
+      throw new TypeError('duplicateSnapshots must be one of ' +
+          `${DUPLICATE_SNAPSHOT_MODES.join(', ')}, got: ` +
+          this.duplicateSnapshots_);
+    }
+
+    /**
+     * Where builds are sent, set by setup().
+     * @private {?Backend}
+     */
+    this.backend_ = null;
+
+    /**
+     * Resolves with the build created by the backend, see createBuild_().
+     * @private {?Promise<{
+     *   id: string,
+     *   webUrl: string,
+     *   missingResources: !Array<string>,
+     *   resources: !Object<string, !Resource>,
+     *   skipped: !Array<!SkippedFile>,
+     * }>}
+     */
+    this.buildPromise_ = null;
+
+    /** @private {boolean} */
+    this.isDebugEnabled_ = false;
+
+    /**
+     * An array of promises for when snapshots have been uploaded and
+     * finalized.
+     * @private {!Array<!Promise<?SnapshotResult>>}
+     */
+    this.snapshotPromises_ = [];
+
+    /**
+     * The names of the snapshots taken in the current build.
+     * @private {!Set<string>}
+     */
+    this.snapshotNames_ = new Set();
+
+    /**
+     * Resolves once every build resource percy is missing has been uploaded,
+     * which snapshots wait for before they are finalized.
+     * @private {!Promise}
+     */
+    this.buildResourceUploadPromise_ = Promise.resolve();
+
+    /**
+     * A key value pairing where the key is the name of the breakpoint and the
+     * value is the pixel width of the breakpoint.
+     * @private {!Object<string, number>}
+     */
+    this.registeredBreakpoints_ = {};
+
+    /**
+     * Where the content of discovered assets comes from, set by setup().
+     * @private {!Array<{fetch: function(string): !Promise<?AssetContent>}>}
+     */
+    this.resourceSources_ = [];
+
+    /**
+     * The urls of the build resources.
+     * @private {!Set<string>}
+     */
+    this.buildResourceUrls_ = new Set();
+
+    /**
+     * The references of the known stylesheets of the build by url, see
+     * discoverSnapshotResources().
+     * @private {!Map<string, !Array<string>>}
+     */
+    this.cssReferenceCache_ = new Map();
+
+    /**
+     * Snapshots the page a Protractor browser is showing, see ./webdriver.js.
+     * @type {{snapshot: function(!Object, string,
+     *     !WebDriverSnapshotOptions=): !Promise<?SnapshotResult>}}
+     */
+    this.protractor = {
+      snapshot: (browser, name, opt_options) =>
+          protractorSnapshot(this, browser, name, opt_options),
+    };
+
+    /**
+     * Snapshots the page a selenium-webdriver driver is showing, see
+     * ./webdriver.js.
+     * @type {{snapshot: function(!Object, string,
+     *     !WebDriverSnapshotOptions=): !Promise<?SnapshotResult>}}
+     */
+    this.webdriver = {
+      snapshot: (driver, name, opt_options) =>
+          webDriverSnapshot(this, driver, name, opt_options),
+    };
+
+    /**
+     * Snapshots Puppeteer and Playwright pages, see ./page-snapshot.js. Both
+     * work the same way.
+     * @type {{
+     *   snapshotPage: function(!Object, string, !PageSnapshotOptions=):
+     *       !Promise<?SnapshotResult>,
+     *   trackPage: function(!Object),
+     * }}
+     */
+    this.puppeteer = {
+      snapshotPage: (page, name, opt_options) =>
+          snapshotPage(this, page, name, opt_options),
+      trackPage: trackPage,
+    };
+
+    /** @type {{snapshotPage: !Function, trackPage: !Function}} */
+    this.playwright = this.puppeteer;
+
+    /**
+     * Sets up and finalizes the build around a Jasmine run, see
+     * ./test-runners.js.
+     * @type {{install: function(!TestRunOptions=): !PercyTestRun}}
+     */
+    this.jasmine = {
+      install: (opt_options) => installJasmine(this, opt_options),
+    };
+
+    /**
+     * Sets up and finalizes the build around a Mocha run, see
+     * ./test-runners.js.
+     * @type {{hooks: function(!TestRunOptions=): !Object}}
+     */
+    this.mocha = {
+      hooks: (opt_options) => createMochaHooks(this, opt_options),
+    };
+  }
+
+  /**
+   * After app is ready, create a percy build and upload assets. Call this only
+   * once per protractor test run (so in the karma onPrepare phase).
+   * Call this in the protractor onPrepare() phase. It should be called only
+   * once to setup the percy client to be shared across all specs.
+   *
+   *   It will:
+   *   - create percy client
+   *   - create manifest of asset (css, images) and send it to percy to
+   *     determine which are missing from percy's server.
+   *   - upload missing assets to percy.
+   *
+   * Can also be called with a single SetupOptions object, see ./config.js,
+   * e.g.
+   *   setup({
+   *     assets: ['dist/assets/**'],
+   *     rootDirs: ['dist'],
+   *     breakpoints: {small: 320, large: 1440},
+   *     project: 'my-org/my-project',
+   *   });
+   * Options that are not given are read from the config file, if there is
+   * one.
+   *
+   * @param {Array<string>|!SetupOptions} buildDirs The directories where
+   *     assets are stored.
+   * @param {Array<string>=} rootDirs The directory for the root of the app.
+   *     This is used to change a local path to a url path.
+   * @param {Object<string,number>=} breakpointsConfig A key value pairing where
+   *     the key is the name of the breakpoint and the value is the pixel width
+   *     of the breakpoint. E.g.
+   *     {
+   *       small: 320,
+   *       medium: 768,
+   *       large: 1024,
+   *     }
+   * @param {boolean=} opt_isDebugEnabled If debug mode is enabled, debug
+   *     messages are logged whatever the log level is.
+   * @return {Promise} Resolves when all assets have been uploaded to percy.
+   *     Rejects with a PercyConfigError if the options or the config file are
+   *     invalid, or with a PercyApiError if the build could not be created or
+   *     an asset could not be uploaded.
+   */
+  async setup(buildDirs, rootDirs, breakpointsConfig, opt_isDebugEnabled) {
+    const setupOptions = buildDirs && !Array.isArray(buildDirs) ? buildDirs : {
+      assets: buildDirs,
+      rootDirs: rootDirs,
+      breakpoints: breakpointsConfig,
+      debug: opt_isDebugEnabled,
+    };
+    this.options_ = resolveSetupOptions(setupOptions, this.clientOptions_);
+    this.duplicateSnapshots_ = this.options_.duplicateSnapshots || 'warn';
+    // Only a value from setup() or the config file changes the property, so
+    // that `client.exitOnFailure = true` sticks when neither sets it.
+    if (this.options_.exitOnFailure !== undefined &&
+        this.options_.exitOnFailure !== this.clientOptions_.exitOnFailure) {
+      this.exitOnFailure = this.options_.exitOnFailure;
+    }
+    this.registeredBreakpoints_ = this.options_.breakpoints || {};
+    this.isDebugEnabled_ = !!this.options_.debug;
+    // A client can run several builds one after the other, none of which may
+    // wait on the snapshots or uploads of the previous one.
+    this.snapshotNames_ = new Set();
+    this.snapshotPromises_ = [];
+    const token = this.options_.token || process.env.PERCY_TOKEN;
+    const project = this.options_.project || process.env.PERCY_PROJECT;
+    this.logger.log(`[percy] Setting up project "${project}"`);
+    this.backend_ = this.createBackend_(token, project);
+
+    // This tells the backend about all of our build assets. The promise
+    // returns a build which notifies us if any of the assets are not yet
+    // uploaded to the server.
+    // Return a promise and only resolve when all build resources are uploaded,
+    // which ensures that the output build dir is still available to be read
+    // from before deleted.
+    // Assign to the instance synchronously so we can chain off of it elsewhere,
+    // even before the build resources have been gathered.
+    this.buildPromise_ = this.createBuild_(this.options_.assets || [],
+        this.options_.rootDirs, project, this.registeredBreakpoints_);
+    // Upload all build resources the backend is missing. Also assigned
+    // synchronously, so that snapshots taken before setup() resolves wait for
+    // every upload, not only the ones that have started.
+    this.buildResourceUploadPromise_ = this.buildPromise_.then((build) => {
+      this.logger.log('\n[percy] Build created:', build.webUrl);
+      this.emit('build:created', {id: build.id, webUrl: build.webUrl});
+
+      this.logDebug_('Missing resources', build.missingResources);
+      if (build.missingResources.length > 0) {
+        return this.uploadMissingResources_(build.id, build.missingResources,
+            build.resources);
+      }
+    });
+    // Snapshots chain off of these promises and surface their errors
+    // themselves, so don't report them as unhandled in the meantime.
+    this.buildPromise_.catch(() => {});
+    this.buildResourceUploadPromise_.catch(() => {});
+    try {
+      const build = await this.buildPromise_;
+      await this.buildResourceUploadPromise_;
+      this.reportSkippedFiles_(build.skipped);
+    } catch (err) {
+      this.handlePercyFailure_(err);
+    }
+  }
+
+  /**
+   * Warns about the build files that were ignored or too large to become
+   * resources, all at once so the warning isn't lost between other output.
+   * @param {!Array<!SkippedFile>} skipped
+   * @private
+   */
+  reportSkippedFiles_(skipped) {
+    if (skipped.length == 0) {
+      return;
+    }
+    const maxFileSize = this.options_.maxFileSize || MAX_FILE_SIZE_BYTES;
+    const describe = (file) => file.reason == 'ignored' ? 'ignored' :
+        `${file.size} bytes, larger than ${maxFileSize} bytes`;
+    this.logger.warn(`[percy][WARNING] Skipped ${skipped.length} build ` +
+        'resource(s):\n' + skipped.map(
+            (file) => `  ${file.resourceUrl} (${describe(file)})`).join('\n'));
+    skipped.forEach((file) => {
+      this.emit('resource:skipped', {
+        resourceUrl: file.resourceUrl,
+        snapshotName: null,
+        size: file.size,
+        reason: file.reason,
+      });
+    });
+  }
+
+  /**
+   * Gathers the build resources and creates the build with the backend.
+   * @param {Array<string>} buildDirs
+   * @param {Array<string>|undefined} rootDirs
+   * @param {string|undefined} project
+   * @param {Object<string,number>} breakpointsConfig
+   * @return {!Promise<{
+   *   id: string,
+   *   webUrl: string,
+   *   missingResources: !Array<string>,
+   *   resources: !Object<string, !Resource>,
+   *   skipped: !Array<!SkippedFile>,
+   * }>} The build, along with the build resources by sha and the build files
+   *     that were skipped.
+   * @private
+   */
+  async createBuild_(buildDirs, rootDirs, project, breakpointsConfig) {
+    // Build file paths are relative to the working directory by default.
+    const buildRootDirs = rootDirs || [process.cwd()];
+    const gathered = await gatherBuildResources(buildDirs, buildRootDirs, {
+      concurrency: this.options_.hashConcurrency,
+      cacheFile: this.options_.hashCache,
+      ignore: this.options_.ignore,
+      maxFileSize: this.options_.maxFileSize,
+      mimeTypes: this.options_.mimeTypes,
+    });
+    const resourceManifestDict = gathered.resources;
+
+    // Convert resources from dict to array. Still may need dict later.
+    const resourceManifestArr = [];
+    Object.keys(resourceManifestDict).forEach(function(key) {
+      resourceManifestArr.push(resourceManifestDict[key]);
+    });
+
+    this.logDebug_('Resource manifest', resourceManifestArr);
+    // Root directories are asked before the base url, but only when they were
+    // given, see SetupOptions.
+    this.resourceSources_ = [];
+    if (rootDirs) {
+      this.resourceSources_.push(
+          new FileSource(rootDirs, {maxFileSize: this.options_.maxFileSize}));
+    }
+    if (this.options_.baseUrl) {
+      this.resourceSources_.push(new HttpSource(this.options_.baseUrl));
+    }
+    this.buildResourceUrls_ = new Set(
+        resourceManifestArr.map((resource) => resource.resourceUrl));
+    this.cssReferenceCache_ = new Map();
+
+    const build = await this.backend_.createBuild({
+      project: project || null,
+      breakpoints: breakpointsConfig,
+      resources: resourceManifestArr,
+    });
+    return Object.assign(
+        {resources: resourceManifestDict, skipped: gathered.skipped}, build);
+  }
+
+  /**
+   * Creates a dom snapshot and adds it to the percy client.
+   * It will:
+   *   - create config for snapshot widths.
+   *   - call percySnapshot() passing widths and html content.
+   *   - trigger uploading snapshots to percy if it doesn't already have them.
+   *
+   * Can also be called with a single SnapshotOptions object, e.g.
+   *   snapshot({
+   *     name: 'chart',
+   *     content: html,
+   *     widths: [375, 1280],
+   *     minHeight: 2000,
+   *     resources: [{resourceUrl: '/chart.png', content: pngBuffer}],
+   *   });
+   *
+   * @param {string|!SnapshotOptions} name The name to use for this snapshot.
+   *     E.g. 'carousel-simple'
+   * @param {string=} content The html content as a string to take a snapshot
+   *     of.
+   * @param {Array<string>=} opt_breakpoints A list of breakpoint names.
+   * @param {boolean=} opt_enableJs Whether or not to enable javascript.
+   * @return {!Promise<?SnapshotResult>} Resolves once the snapshot html has
+   *     been uploaded and the snapshot has been finalized. Resolves with null
+   *     if the snapshot was skipped, because percy rejected it as a bad
+   *     request or because its name was already taken. Rejects with a
+   *     PercySnapshotError if the arguments are invalid, or with a
+   *     PercyApiError if percy could not be reached. Failures are also
+   *     reported by finalizeBuild(), so the promise can be ignored.
+   */
+  snapshot(name, content, opt_breakpoints, opt_enableJs) {
+    const options = name && typeof name == 'object' ? name : {
+      name: name,
+      content: content,
+      breakpoints: opt_breakpoints,
+      enableJavaScript: opt_enableJs,
+    };
+    // Add the snapshot promise to the list of snapshots so that finalizeBuild
+    // can wait on them. We MUST do this immediately here, before anything is
+    // awaited, to avoid creating a race condition where the list may be
+    // missing some snapshots.
+    let snapshotPromise;
+    try {
+      const snapshot = this.prepareSnapshot_(options);
+      snapshotPromise = snapshot ?
+          this.createSnapshot_(snapshot) : Promise.resolve(null);
+    } catch (error) {
+      // Invalid snapshots are never sent to the backend.
+      snapshotPromise = Promise.reject(error);
+    }
+    const resultPromise = snapshotPromise.catch((error) => {
+      this.emit('snapshot:failed', {name: options.name, error: error});
+      // With exitOnFailure, the process exits as soon as a snapshot fails.
+      this.handlePercyFailure_(error);
+    });
+    // finalizeBuild() reports the failure, callers don't have to.
+    resultPromise.catch(() => {});
+    this.snapshotPromises_.push(resultPromise);
+    return resultPromise;
+  }
+
+  /**
+   * Validates the snapshot options, resolves the widths to render the snapshot
+   * at and claims the snapshot name for the current build.
+   * @param {!SnapshotOptions} options
+   * @return {?Object} The snapshot to create, see createSnapshot_(). Null if
+   *     the snapshot is a duplicate that is skipped.
+   * @throws {PercySnapshotError} If the options are invalid.
+   * @private
+   */
+  prepareSnapshot_(options) {
+    const name = options.name;
+    if (typeof name != 'string' || !name.trim()) {
+      throw new PercySnapshotError(
+          'Snapshot name must be a non-empty string.', name);
+    }
+    const content = options.content;
+    if (!content || !content.toString().trim()) {
+      throw new PercySnapshotError(
+          `Snapshot "${name}" has no html content.`, name);
+    }
+
+    // Transform the `breakpoints` array of named breakpoints into an array of
+    // integer widths, mapped by the breakpoints config. Explicit widths are
+    // used as they are.
+    const widths = options.widths || this.getWidthsFromBreakpointNames_(
+        name, options.breakpoints || Object.keys(this.registeredBreakpoints_));
+    const invalidWidths = widths.filter((width) => {
+      return !Number.isInteger(width) || width < MIN_SNAPSHOT_WIDTH ||
+          width > MAX_SNAPSHOT_WIDTH;
+    });
+    if (invalidWidths.length > 0) {
+      throw new PercySnapshotError(`Snapshot "${name}" has widths outside of ` +
+          `the ${MIN_SNAPSHOT_WIDTH}-${MAX_SNAPSHOT_WIDTH}px range percy ` +
+          `supports: ${invalidWidths.join(', ')}`, name);
+    }
+
+    const uniqueName = this.claimSnapshotName_(name);
+    if (!uniqueName) {
+      return null;
+    }
+    return {
+      name: uniqueName,
+      content: content,
+      widths: widths,
+      enableJavaScript: options.enableJavaScript || false,
+      minHeight: options.minHeight || null,
+      resources: options.resources || [],
+    };
+  }
 
-  percyBuildPromise.then(function(buildResponse) {
-    const percyBuildData = buildResponse.body.data;
+  /**
+   * Records that a snapshot name is used in the current build. Handles names
+   * that are already used according to the duplicateSnapshots option.
+   * @param {string} name
+   * @return {?string} The name to use for the snapshot, or null if the
+   *     snapshot is a duplicate that is skipped.
+   * @throws {PercySnapshotError} If the name is a duplicate and duplicates are
+   *     rejected.
+   * @private
+   */
+  claimSnapshotName_(name) {
+    let uniqueName = name;
+    if (this.snapshotNames_.has(name)) {
+      if (this.duplicateSnapshots_ == 'reject') {
+        throw new PercySnapshotError(
+            `A snapshot named "${name}" was already taken in this build.`,
+            name);
+      } else if (this.duplicateSnapshots_ == 'warn') {
+        this.logger.warn('[percy][WARNING] Duplicate snapshot name, skipping ' +
+            'snapshot: ' + name);
+        return null;
+      }
+      for (let i = 2; this.snapshotNames_.has(uniqueName); i++) {
+        uniqueName = `${name} (${i})`;
+      }
+    }
+    this.snapshotNames_.add(uniqueName);
+    return uniqueName;
+  }
 
+  /**
+   * Creates a snapshot, uploads its html and resources if the backend is
+   * missing them, and finalizes it once all build resources are uploaded.
+   * @param {{
+   *   name: string,
+   *   content: string,
+   *   widths: !Array<number>,
+   *   enableJavaScript: boolean,
+   *   minHeight: ?number,
+   *   resources: !Array<{
+   *     resourceUrl: string,
+   *     content: (string|!Buffer),
+   *     mimetype: (string|undefined),
+   *   }>,
+   * }} snapshot
+   * @return {!Promise<?SnapshotResult>}
+   * @private
+   */
+  async createSnapshot_(snapshot) {
+    const name = snapshot.name;
+    const build = await this.buildPromise_;
     // Construct the root resource and create the snapshot.
-    var htmlResource = percyClient.makeResource({
+    const htmlResource = makeResource({
       resourceUrl: '/',
-      content: content,
+      content: snapshot.content,
       isRoot: true,
       mimetype: 'text/html',
     });
+    const resources = [htmlResource].concat(snapshot.resources.map(
+        (resource) => makeResource({
+          resourceUrl: resource.resourceUrl,
+          content: resource.content,
+          mimetype: resource.mimetype ||
+              mimetypeFor(resource.resourceUrl, this.options_.mimeTypes),
+        })));
+    if (this.options_.discoverAssets !== false) {
+      resources.push(...await this.discoverResources_(name, resources));
+    }
 
-    var snapshotPromise = percyClient.createSnapshot(
-        percyBuildData.id,
-        [htmlResource],
-        {
-          name: name,
-          widths: widths,
-          enableJavaScript: enableJs,
-        });
-
-    // Upload missing resources (just the root resource HTML in this case).
-    snapshotPromise.then((response) => {
-      var snapshotId = response.body.data.id;
-
-      var missingResources = parseMissingResources(response);
-      logDebug('Missing snapshot resources', missingResources);
-      uploadHtml(percyBuildData.id, snapshotId, htmlResource, missingResources,
-          resolveAfterHtmlResourceUploaded);
-    }, (error) => {
-      // TODO: Exit with error exit code? May not want to silently let this
-      // pass. Need to discuss as a team our strategy for handling failures with
-      // percy and determine how reliable percy is.
+    let createdSnapshot;
+    try {
+      createdSnapshot = await this.backend_.createSnapshot(build.id, {
+        name: name,
+        widths: snapshot.widths,
+        enableJavaScript: snapshot.enableJavaScript,
+        minHeight: snapshot.minHeight,
+        resources: resources,
+      });
+    } catch (error) {
       if (error.statusCode && error.statusCode == 400) {
-        console.warn(
+        this.logger.warn(
             '[percy][WARNING] Bad request error, skipping snapshot: ' + name
         );
-        console.warn(error.toString());
+        this.logger.warn(error.toString());
+        this.emit('snapshot:failed', {name: name, error: error});
         // Skip this snapshot, resolve on error to unblock the finalization
         // promise chain.
-        resolveAfterHtmlResourceUploaded();
-      } else {
-        handlePercyFailure(error);
+        return null;
       }
-    });
-  });
-}
-
+      throw error;
+    }
 
-/**
- * Sent another request to the Percy server if the number of tries does not exceed the limit. 
- * @param {string} buildId Percy Build ID.
- * @param {number} numRetries The number of get build requests to the server.
- * @param {Function} resolve Promise resolve function.
- */
-function retry(buildId, numRetries, resolve) {
-  if (numRetries < MAX_RETRIES_WHEN_PROCESSING) {
-      // Retry with recursion with retries incremented
-      return setTimeout(checkBuildStatus, 1000, buildId, numRetries + 1, resolve);
-  } else {
-      handleError('Retries exceeded. Exiting.');
+    const result = {
+      snapshotId: createdSnapshot.id,
+      name: name,
+      widths: snapshot.widths,
+    };
+    this.emit('snapshot:created', result);
+
+    // Upload missing resources (the root resource HTML and any snapshot
+    // resources the backend doesn't have yet).
+    const missingResources = createdSnapshot.missingResources;
+    this.logDebug_('Missing snapshot resources', missingResources);
+    await this.uploadSnapshotResources_(build.id, createdSnapshot.id, name,
+        resources, missingResources);
+    this.emit('snapshot:finalized', result);
+    return result;
   }
-}
-
 
-/**
- * Retrieve the build information from the Percy server, send another request to the server
- * if the build state is processing or pending. Once the build is finished, check for diffs and
- * display errors if there are diffs.
- * @param {string} buildId Percy Build ID.
- * @param {number} numRetries The number of get build requests to the server.
- * @param {Function} resolve Promise resolve function.
- */
-async function checkBuildStatus(buildId, numRetries, resolve) {
-  const response = await percyClient.getBuild(buildId);
-  const {body: {data: {attributes}}}  = response;
-  const {state} = attributes;
-  if (state == 'processing' || state == 'pending') {
-      retry(buildId, numRetries, resolve);
-  } else if (state == 'finished'){
-    // Unreviewed diffs are the diffs which have not been approved in the percy UI
-    const totalUnreviewed = attributes['total-snapshots-unreviewed'];
-      if (totalUnreviewed) {
-        const url = attributes['web-url'];
-        handleError('percy', `unreviewed diffs found: ${totalUnreviewed}. Check ${url}`);
-      } else {
-        logger.log('Hooray! The build is successful with no unreviewed diffs. \\o/');
+  /**
+   * Finalizes the request to be sent to Percy api which includes all the
+   * assets, snapshots, etc.
+   * Return this in karma onComplete() phase after all test specs have been
+   * run.
+   * @param {(boolean|{getDiffs: boolean}|PollOptions)=} opt_getDiffs Set to
+   *     true to request the build results from the server after the diffs are
+   *     generated. This feature will slow down the build process. To use this
+   *     feature, please reach out to the Percy team to get a token with read
+   *     access. Pass an object with `getDiffs: true` and any of the
+   *     PollOptions to control how the server is polled, e.g.
+   *     {
+   *       getDiffs: true,
+   *       pollInterval: 2000,
+   *       backoffMultiplier: 1.5,
+   *       timeout: 10 * 60 * 1000,
+   *       onPoll: (state, attempt) => console.log(state, attempt),
+   *     }
+   *     Pass `buildId` to finalize a build that was created by another
+   *     process instead of the one set up by this client, along with the
+   *     `configFile` to load if setup() hasn't been called. Such builds are
+   *     never dry runs: without a token, this rejects with a
+   *     PercyConfigError.
+   * @return {!Promise<(!BuildResult|undefined)>} When getDiffs is set,
+   *     resolves with the build result once percy has finished processing.
+   *     Rejects with a PercyApiError if percy could not be reached, and with
+   *     the error of the first failed snapshot once the build is finalized
+   *     without it. When getDiffs is set, also rejects with a
+   *     PercyBuildFailedError or PercyUnreviewedDiffsError, both of which
+   *     carry the build result as `error.result`, or a PercyBuildTimeoutError
+   *     if the build is still processing after the timeout.
+   */
+  async finalizeBuild(opt_getDiffs = false) {
+    const options = opt_getDiffs && typeof opt_getDiffs == 'object' ?
+        opt_getDiffs : {getDiffs: opt_getDiffs};
+    const pollOptions = parsePollOptions(options);
+    this.logger.log('[percy] Finalizing build...');
+
+    try {
+      if (options.buildId) {
+        // The web url of a build created elsewhere is not known.
+        await this.getBackend_(options.configFile)
+            .finalizeBuild(options.buildId);
+        this.emit('build:finalized', {id: options.buildId, webUrl: null});
+        this.logger.log('[percy] Visual diffs are now processing: build',
+            options.buildId);
+        if (options.getDiffs) {
+          return await this.checkBuildStatus_(options.buildId, pollOptions);
+        }
+        return;
       }
-      resolve();
-  } else if (state == 'failed') {
-    handleError('percy', `build failed: ${attributes['failure-reason']}`);
-    resolve();
+      // These promises need to be processed sequentially, not concurrently.
+      const build = await this.buildPromise_;
+      // We also need to wait until all snapshots have been uploaded and
+      // finalized. Failed snapshots must not keep the build from being
+      // finalized, or it would stay open in percy forever, so they are only
+      // reported afterwards.
+      const snapshotErrors = (await Promise.all(this.snapshotPromises_.map(
+          (promise) => promise.then(() => null, (error) => error))))
+          .filter((error) => !!error);
+      // Finalize the build.
+      await this.backend_.finalizeBuild(build.id);
+      this.emit('build:finalized', {id: build.id, webUrl: build.webUrl});
+
+      // Attempt to make our logging come last, giving time for test output to
+      // finish.
+      process.nextTick(() => {
+        this.logger.log('[percy] Visual diffs are now processing:',
+            build.webUrl);
+      });
+
+      if (snapshotErrors.length > 0) {
+        if (snapshotErrors.length > 1) {
+          this.logger.warn(`[percy][WARNING] ${snapshotErrors.length} ` +
+              'snapshots failed: ' + snapshotErrors.map(
+                  (error) => error.message).join(' '));
+        }
+        throw snapshotErrors[0];
+      }
+      if (options.getDiffs) {
+        return await this.checkBuildStatus_(build.id, pollOptions);
+      }
+
+    } catch (err) {
+      this.handlePercyFailure_(err);
+    }
   }
-}
 
+  /**
+   * @return {number} How many build resources to upload at the same time.
+   * @private
+   */
+  getUploadConcurrency_() {
+    if (this.options_.uploadConcurrency !== undefined) {
+      return parseConcurrency(
+          this.options_.uploadConcurrency, 'uploadConcurrency');
+    }
+    if (process.env.PERCY_UPLOAD_CONCURRENCY) {
+      return parseConcurrency(process.env.PERCY_UPLOAD_CONCURRENCY,
+          'PERCY_UPLOAD_CONCURRENCY');
+    }
+    return DEFAULT_UPLOAD_CONCURRENCY;
+  }
 
-/**
- * Return a promise that gets build information.
- * @param {string} buildId Percy Build ID.
- * @return {Promise} Promise object gets resolved when build is finished.
- */
-function getBuildPromise(buildId) {
-  return new Promise(function(resolve, reject) {
-    checkBuildStatus(buildId, 0, resolve);
-  });
-}
+  /**
+   * Creates the backend for a build according to the client options.
+   * @param {string|undefined} token
+   * @param {string|undefined} project
+   * @param {boolean=} opt_existingBuild Whether the backend is for a build
+   *     created by another process. Such a build is never a dry run, there
+   *     is nothing to record for it.
+   * @return {!Backend}
+   * @throws {PercyConfigError} If percy needs a token for an existing build
+   *     and there is none.
+   * @private
+   */
+  createBackend_(token, project, opt_existingBuild = false) {
+    const backend = this.options_.backend || 'percy';
+    const backendOptions = Object.assign(
+        {logger: this.logger}, this.options_.backendOptions);
+    if (typeof backend == 'object') {
+      return backend;
+    } else if (backend == 'local') {
+      return new LocalBackend(backendOptions);
+    } else if (backend != 'percy') {
+      throw new TypeError(`Unknown backend "${backend}". Use "percy", ` +
+          '"local" or a Backend instance.');
+    }
 
+    if (opt_existingBuild) {
+      if (!token) {
+        throw new PercyConfigError('PERCY_TOKEN is not set, it is needed ' +
+            'for builds created by another process.');
+      }
+    } else if (this.isDryRun_(token)) {
+      if (!token) {
+        this.logger.log('[percy] PERCY_TOKEN is not set.');
+      }
+      return new DryRunBackend(Object.assign({
+        outputDir: this.options_.dryRunOutputDir ||
+            process.env.PERCY_DRY_RUN_DIR,
+      }, backendOptions));
+    }
+    return new PercyBackend(Object.assign({
+      token: token,
+      project: project,
+      apiUrl: this.options_.apiUrl || process.env.PERCY_API_URL,
+      proxy: this.options_.proxy,
+      requestTimeout: this.options_.requestTimeout,
+      ca: this.options_.ca,
+      caFile: this.options_.caFile,
+      retryOptions: this.retryOptions,
+    }, backendOptions));
+  }
 
-/**
- * Finalizes the request to be sent to Percy api which includes all the assets,
- * snapshots, etc.
- * Return this in karma onComplete() phase after all test specs have been run.
- * @param {boolean} getDiffs Set to true to request the build results from the server
- * after the diffs are generated. This feature will slow down the build process. To use
- * this feature, please reach out to the Percy team to get a token with read access.
- * @return {Promise}
- */
-async function finalizeBuild(getDiffs = false) {
-  logger.log('[percy] Finalizing build...');
-
-  try {
-    // These promises need to be processed sequentially, not concurrently.
-    const {body: {data: percyBuildData}} = await percyBuildPromise;
-    // We also need to wait until all snapshot resources have been uploaded.
-    // We do NOT need to wait until the snapshot itself has been finalized, just
-    // until resources are uploaded.
-    await Promise.all(snapshotResourceUploadPromises);
-    // Finalize the build.
-    await percyClient.finalizeBuild(percyBuildData.id);
-    // Avoid trying to add snapshots to an already-finalized build. This might
-    // happen when running tests locally and the browser gets refreshed after
-    // the end of a test run. Generally, this is not a problem because tests
-    // only run in CI and only once.
-    isPercyEnabled = false;
-
-    // Attempt to make our logging come last, giving time for test output to finish.
-    var url = percyBuildData.attributes['web-url'];
-    process.nextTick(function() {
-      logger.log('[percy] Visual diffs are now processing:', url);
-    });
+  /**
+   * Whether a percy build should be recorded locally instead of sent to percy.
+   * @param {string|undefined} token
+   * @return {boolean}
+   * @private
+   */
+  isDryRun_(token) {
+    if (this.options_.dryRun !== undefined) {
+      return !!this.options_.dryRun;
+    }
+    const envDryRun = process.env.PERCY_DRY_RUN;
+    if (envDryRun) {
+      return ['true', '1', 'yes'].indexOf(envDryRun.toLowerCase()) !== -1;
+    }
+    return !token;
+  }
 
-    if (getDiffs) {
-      await getBuildPromise(percyBuildData.id);
+  /**
+   * Waits for percy to finish processing a build, e.g. one that was finalized
+   * by another process, and checks its results like `finalizeBuild(true)`.
+   * @param {string} buildId
+   * @param {!Object=} opt_options Any of the PollOptions, and the
+   *     `configFile` to load if setup() hasn't been called.
+   * @return {!Promise<!BuildResult>} Rejects like `finalizeBuild(true)`.
+   */
+  async checkBuildStatus(buildId, opt_options = {}) {
+    const pollOptions = parsePollOptions(opt_options);
+    try {
+      this.getBackend_(opt_options.configFile);
+      return await this.checkBuildStatus_(buildId, pollOptions);
+    } catch (err) {
+      this.handlePercyFailure_(err);
     }
+  }
 
-  } catch (err) {
-    handlePercyFailure(err);
+  /**
+   * @param {(string|boolean)=} opt_configFile The config file to load if
+   *     setup() hasn't, see SetupOptions.
+   * @return {!Backend} The backend of the build set up by this client, or one
+   *     created from the client options and the config file for builds that
+   *     were created by another process.
+   * @throws {PercyConfigError} If the config is invalid, or there is no
+   *     token for percy.
+   * @private
+   */
+  getBackend_(opt_configFile) {
+    if (!this.backend_) {
+      this.options_ = resolveSetupOptions(
+          opt_configFile === undefined ? {} : {configFile: opt_configFile},
+          this.clientOptions_);
+      const token = this.options_.token || process.env.PERCY_TOKEN;
+      const project = this.options_.project || process.env.PERCY_PROJECT;
+      this.backend_ = this.createBackend_(token, project, true);
+    }
+    return this.backend_;
   }
-}
 
+  /**
+   * Retrieve the build information from the backend, send another request
+   * to the server while the build state is processing or pending. Once the
+   * build is finished, check for diffs and reject if there are diffs.
+   * Otherwise resolve with the build result.
+   * @param {string} buildId Build ID.
+   * @param {!PollOptions} pollOptions
+   * @return {!Promise<!BuildResult>}
+   * @private
+   */
+  async checkBuildStatus_(buildId, pollOptions) {
+    const startTime = Date.now();
+    let interval = pollOptions.pollInterval;
+    let result, state;
+    for (let attempt = 1; ; attempt++) {
+      result = await this.backend_.getBuild(buildId);
+      state = result.state;
+      if (pollOptions.onPoll) {
+        pollOptions.onPoll(state, attempt);
+      }
+      this.emit('build:status', {
+        id: buildId,
+        webUrl: result.webUrl,
+        state: state,
+        attempt: attempt,
+      });
+      if (state != 'processing' && state != 'pending') {
+        break;
+      }
 
-/**
- * Reads the filesystem for assets and assembles an object to be handed to percy
- * so it can upload the assets.
- * Synchronously walk the build directory, read each file and calculate its
- * SHA 256 hash, and create a mapping of hashes to Resource objects.
- * @param {PercyClient} percyClient
- * @param {Array<string>} buildDirs the directory to look in for assets.
- * @param {Array<string>} rootDirs The directory for the root of the app.
- *     This is used to change a local path to a url path.
- * @return {Object<string,PercyClient.Resource>}
- *     {@see https://github.com/percy/percy-js/blob/master/src/main.js#L9}
- */
-function gatherBuildResources(percyClient, buildDirs, rootDirs) {
-  const hashToResource = {};
-  const paths = globby.sync(buildDirs, {absolute: true, nodir: true});
-
-  let absolutePath, resourceUrl, content, sha;
-  for (let i = 0; i < paths.length; i++) {
-    absolutePath = paths[i];
-    resourceUrl = absolutePath;
-    rootDirs.forEach((rootDir) => {
-      resourceUrl = resourceUrl.replace(rootDir, '');
-    });
-    if (resourceUrl.charAt(0) !== '/') resourceUrl = '/' + resourceUrl;
-    // Skip large files.
-    if (fs.statSync(absolutePath)['size'] > MAX_FILE_SIZE_BYTES) {
-      console.warn('\n[percy][WARNING] Skipping large build resource: ',
-          resourceUrl);
-      continue;
+      const remaining = pollOptions.timeout - (Date.now() - startTime);
+      if (remaining <= 0) {
+        throw new PercyBuildTimeoutError(
+            pollOptions.timeout, state, result.webUrl);
+      }
+      await delay(Math.min(interval, remaining));
+      interval = Math.min(interval * pollOptions.backoffMultiplier,
+          pollOptions.maxPollInterval);
     }
 
-    content = fs.readFileSync(absolutePath);
-    sha = crypto.createHash('sha256').update(content).digest('hex');
+    // The snapshot list is only extra detail, failing to get it must not hide
+    // the outcome of the build.
+    try {
+      result.snapshots = await this.backend_.getBuildSnapshots(buildId);
+    } catch (err) {
+      this.logger.warn('[percy][WARNING] Could not list the snapshots of ' +
+          `build ${buildId}: ${err.message}`);
+      result.snapshots = [];
+    }
+    this.emit('build:finished', result);
+    let error = null;
+    if (state == 'finished') {
+      // Unreviewed diffs are the diffs which have not been approved in the
+      // percy UI
+      const totalUnreviewed = result.totalSnapshotsUnreviewed;
+      if (totalUnreviewed) {
+        error = new PercyUnreviewedDiffsError(totalUnreviewed, result.webUrl);
+      } else {
+        this.logger.log(
+            'Hooray! The build is successful with no unreviewed diffs. \\o/');
+      }
+    } else if (state == 'failed') {
+      error = new PercyBuildFailedError(result.failureReason, result.webUrl);
+    } else if (state == 'skipped') {
+      // E.g. a dry run, which happens whenever PERCY_TOKEN is missing.
+      this.logger.warn('[percy][WARNING] Nothing was compared, skipping the ' +
+          `diff check of build ${buildId}.`);
+    }
 
-    hashToResource[sha] = percyClient.makeResource({
-      resourceUrl: encodeURI(resourceUrl),
-      sha: sha,
-      localPath: absolutePath,
-    });
+    if (error) {
+      error.result = result;
+      throw error;
+    }
+    return result;
   }
 
-  return hashToResource;
-}
-
+  /**
+   * Uploads to the backend any assets (such as css, images, js, etc) that it
+   * doesn't already have cached on its servers.
+   * @param {string} buildId
+   * @param {!Array<string>} missingResources The shas of the missing assets.
+   * @param {!Object<string,!Resource>} resourceManifestDict
+   * @private
+   */
+  async uploadMissingResources_(
+      buildId, missingResources, resourceManifestDict) {
+    const resources = missingResources.map(
+        (missingResource) => resourceManifestDict[missingResource]);
+    const progress = {
+      resourceUrl: '',
+      uploaded: 0,
+      remaining: resources.length,
+      total: resources.length,
+      bytesUploaded: 0,
+      totalBytes: resources.reduce(
+          (total, resource) => total + resourceSize(resource), 0),
+    };
+
+    var missingResourcesIndex = 0;
+    var promiseGenerator = () => {
+      var resource = resources[missingResourcesIndex];
+      missingResourcesIndex++;
+
+      if (resource) {
+        var content = readResourceContent(resource);
+
+        // Start the build resource upload. Build resources must be fully
+        // uploaded before snapshots are finalized, see
+        // buildResourceUploadPromise_.
+        return this.backend_.uploadResource(buildId, resource, content)
+            .then(() => {
+              progress.resourceUrl = resource.resourceUrl;
+              progress.uploaded++;
+              progress.remaining--;
+              progress.bytesUploaded += Buffer.byteLength(content);
+              this.logger.log(
+                  '[percy] Uploaded new build resource: ' +
+                  `${resource.resourceUrl} (${progress.uploaded} of ` +
+                  `${progress.total}, ${formatBytes(progress.bytesUploaded)} ` +
+                  `of ${formatBytes(progress.totalBytes)})`);
+              if (this.options_.onUploadProgress) {
+                this.options_.onUploadProgress(Object.assign({}, progress));
+              }
+              this.emit('resource:uploaded', {
+                resourceUrl: resource.resourceUrl,
+                snapshotName: null,
+                size: Buffer.byteLength(content),
+              });
+            });
+      } else {
+        // Trigger the pool to end.
+        return null;
+      }
+    };
+
+    // We do this in a promise pool for two reasons: 1) to limit the number of
+    // files that are held in memory concurrently, and 2) without a pool, all
+    // upload promises are created at the same time and request-promise timeout
+    // settings begin immediately, which timeboxes ALL uploads to finish within
+    // one timeout period. With a pool, we defer creation of the upload
+    // promises, which makes timeouts apply more individually.
+    var concurrency = this.getUploadConcurrency_();
+    var pool = new PromisePool(promiseGenerator, concurrency);
+
+    // Wait for all build resource uploads before we allow the addon build step
+    // to complete. The pool rejects with the first failed upload.
+    await pool.start();
+  }
 
-/**
- * Uploads to percy any assets (such as css, images, js, etc) that it doesn't
- * already have cached on its servers.
- * @param {number} buildId
- * @param {Array<{id: number}>} missingResources
- * @param {Object<string,PercyClient.Resource>} resourceManifestDict
- */
-async function uploadMissingResources(
-    buildId, missingResources, resourceManifestDict) {
-  var missingResourcesIndex = 0;
-  var promiseGenerator = function() {
-    var missingResource = missingResources[missingResourcesIndex];
-    missingResourcesIndex++;
-
-    if (missingResource) {
-      var resource = resourceManifestDict[missingResource.id];
-      var content = fs.readFileSync(resource.localPath);
-
-      // Start the build resource upload and add it to a collection we can
-      // block on later because build resources must be fully uploaded before
-      // snapshots are finalized.
-      var promise = percyClient.uploadResource(buildId, content);
-      promise.then((response) => {
-        logger.log(
-            `[percy] Uploaded new build resource: ${resource.resourceUrl}`);
-      }, handlePercyFailure);
-      buildResourceUploadPromises.push(promise);
-
-      return promise;
-    } else {
-      // Trigger the pool to end.
-      return null;
+  /**
+   * Finds the assets the snapshot html refers to that are neither build
+   * resources nor already snapshot resources. Warns about the ones that
+   * can't be found.
+   * @param {string} name The snapshot name.
+   * @param {!Array<!Resource>} resources The root html resource and the
+   *     snapshot resources.
+   * @return {!Promise<!Array<!Resource>>} The resources for the assets that
+   *     were found.
+   * @private
+   */
+  async discoverResources_(name, resources) {
+    const knownUrls = new Set(this.buildResourceUrls_);
+    resources.forEach((resource) => knownUrls.add(resource.resourceUrl));
+    const html = resources[0].content.toString();
+    const discovered = await discoverSnapshotResources(html, {
+      sources: this.resourceSources_,
+      knownUrls: knownUrls,
+      cssReferenceCache: this.cssReferenceCache_,
+      maxFileSize: this.options_.maxFileSize,
+      mimeTypes: this.options_.mimeTypes,
+    });
+    if (discovered.unresolved.length > 0) {
+      const places = [];
+      if (this.options_.rootDirs) {
+        places.push('in the root directories');
+      }
+      if (this.options_.baseUrl) {
+        places.push(`at ${this.options_.baseUrl}`);
+      }
+      const where = places.join(' or ') || 'in any root directory';
+      this.logger.warn(`[percy][WARNING] Snapshot "${name}" refers to assets ` +
+          `that are not ${where}, they will be missing in percy: ` +
+          discovered.unresolved.join(', '));
     }
-  };
-
-  // We do this in a promise pool for two reasons: 1) to limit the number of
-  // files that are held in memory concurrently, and 2) without a pool, all
-  // upload promises are created at the same time and request-promise timeout
-  // settings begin immediately, which timeboxes ALL uploads to finish within
-  // one timeout period. With a pool, we defer creation of the upload promises,
-  // which makes timeouts apply more individually.
-  var concurrency = 2;
-  var pool = new PromisePool(promiseGenerator, concurrency);
-
-  // Wait for all build resource uploads before we allow the addon build step to
-  // complete. If an upload failed, resolve anyway to unblock the building
-  // process.
-  await pool.start();
-}
-
+    discovered.unresolved.forEach((resourceUrl) => {
+      this.emit('resource:skipped', {
+        resourceUrl: resourceUrl,
+        snapshotName: name,
+        reason: 'notFound',
+      });
+    });
+    discovered.tooLarge.forEach((resourceUrl) => {
+      this.logger.warn('[percy][WARNING] Skipping large snapshot resource: ',
+          resourceUrl);
+      this.emit('resource:skipped', {
+        resourceUrl: resourceUrl,
+        snapshotName: name,
+        reason: 'tooLarge',
+      });
+    });
+    this.logDebug_('Discovered snapshot resources',
+        discovered.resources.map((resource) => resource.resourceUrl));
+    return discovered.resources;
+  }
 
-/**
- * Uploads the html snapshot to percy if it doesn't already have it stored.
- * @param {number} buildId
- * @param {number} snapshotId
- * @param {PercyClient.Resource} htmlResource
- * @param {Array<{id: number}>} missingResources
- * @param {Function} callback
- *
- */
-function uploadHtml(buildId, snapshotId, htmlResource, missingResources,
-                    callback) {
-  if (missingResources.length > 0) {
-    // We assume there is only one missing resource here and it is the root
-    // resource. All other resources should be build resources.
-    percyClient.uploadResource(buildId, htmlResource.content)
-        .then(function() {
-          callback();
-
-          // After we're sure all build resources are uploaded, finalize the
-          // snapshot.
-          Promise.all(buildResourceUploadPromises).then(function() {
-            logDebug('Snapshot id', snapshotId);
-            percyClient.finalizeSnapshot(snapshotId);
-          });
-        });
-  } else {
-    // No missing resources, we can immediately finalize the snapshot after
-    // build resources.
-    Promise.all(buildResourceUploadPromises).then(function() {
-      percyClient.finalizeSnapshot(snapshotId);
+  /**
+   * Uploads the snapshot resources the backend doesn't already have stored,
+   * then finalizes the snapshot once all build resources have been uploaded.
+   * @param {string} buildId
+   * @param {string} snapshotId
+   * @param {string} snapshotName
+   * @param {!Array<!Resource>} resources The root html resource and the
+   *     snapshot resources.
+   * @param {!Array<string>} missingResources The shas of the missing
+   *     resources.
+   * @return {!Promise} Resolves once the snapshot has been finalized.
+   * @private
+   */
+  async uploadSnapshotResources_(
+      buildId, snapshotId, snapshotName, resources, missingResources) {
+    // Resources with the same content only need to be uploaded once.
+    const missing = resources.filter((resource, i) => {
+      return missingResources.indexOf(resource.sha) !== -1 &&
+          resources.findIndex((other) => other.sha === resource.sha) === i;
     });
+    await Promise.all(missing.map((resource) => {
+      const content = readResourceContent(resource);
+      return this.backend_.uploadResource(buildId, resource, content)
+          .then(() => {
+            this.emit('resource:uploaded', {
+              resourceUrl: resource.resourceUrl,
+              snapshotName: snapshotName,
+              size: Buffer.byteLength(content),
+            });
+          });
+    }));
 
-    // No resources to upload, so resolve immediately.
-    callback();
+    // After we're sure all build resources are uploaded, finalize the
+    // snapshot.
+    await this.buildResourceUploadPromise_;
+    this.logDebug_('Snapshot id', snapshotId);
+    await this.backend_.finalizeSnapshot(snapshotId);
   }
-}
-
 
-/**
- * Takes a list of breakpoint names and gets the corresponding widths from
- * the registered breakpoints.
- * @param {Array<string>} breakpointNamesList
- * @return {Array<number>}
- */
-function getWidthsFromBreakpointNames(breakpointNamesList) {
-  const widths = [];
-  for (var i in breakpointNamesList) {
-    if (breakpointNamesList.hasOwnProperty(i)) {
-      var breakpointName = breakpointNamesList[i];
-      var breakpointWidth =
-          registeredBreakpoints[breakpointName];
-
-      if (!parseInt(breakpointWidth)) {
-        console.error(`[percy] Breakpoint name "${breakpointName}"
-            is not defined in Percy config.`);
-      }
+  /**
+   * Takes a list of breakpoint names and gets the corresponding widths from
+   * the registered breakpoints.
+   * @param {string} snapshotName The snapshot the breakpoints are for.
+   * @param {!Array<string>} breakpointNamesList
+   * @return {!Array<number>}
+   * @throws {PercySnapshotError} If a breakpoint is not registered.
+   * @private
+   */
+  getWidthsFromBreakpointNames_(snapshotName, breakpointNamesList) {
+    const unknownNames = breakpointNamesList.filter((breakpointName) => {
+      return !this.registeredBreakpoints_.hasOwnProperty(breakpointName);
+    });
+    if (unknownNames.length > 0) {
+      throw new PercySnapshotError(`Snapshot "${snapshotName}" uses ` +
+          `breakpoints that are not defined in the Percy config: ` +
+          `${unknownNames.join(', ')}. Defined breakpoints: ` +
+          `${Object.keys(this.registeredBreakpoints_).join(', ')}`,
+          snapshotName);
+    }
+    const widths = [];
+    breakpointNamesList.forEach((breakpointName) => {
+      const breakpointWidth = this.registeredBreakpoints_[breakpointName];
       // Avoid duplicate widths.
       if (widths.indexOf(breakpointWidth) === -1) {
         widths.push(breakpointWidth);
       }
+    });
+    return widths;
+  }
+
+  /**
+   * Rethrows the error, or if exitOnFailure is set, displays the error in the
+   * console and exits with a non-zero exit code to trigger a failed build
+   * message in CI instead.
+   * @param {*} error
+   * @private
+   */
+  handlePercyFailure_(error) {
+    const isBuildOutcome = error instanceof PercyNodeError &&
+        !(error instanceof PercyApiError);
+    if (!this.exitOnFailure) {
+      throw error;
+    }
+    if (isBuildOutcome) {
+      this.logger.error('percy', error.message);
+    } else {
+      this.logger.error(
+          '[percy][ERROR] API call failed, Percy has been disabled for this ' +
+          `build. ${error.toString()}`);
+    }
+    process.exit(2);
+  }
+
+  /**
+   * Logs debug information. The debug flag of setup() logs it at info level,
+   * so it shows up with the default log level.
+   * @param {Array<string>} args
+   * @private
+   */
+  logDebug_(...args) {
+    if (this.isDebugEnabled_) {
+      this.logger.info('[percy] DEBUG', ...args);
+    } else {
+      this.logger.debug('[percy] DEBUG', ...args);
+    }
+  }
+
+  /**
+   * Also passes client events to the logger, so they end up in json logs.
+   * @override
+   */
+  emit(eventName, ...args) {
+    if (CLIENT_EVENTS.indexOf(eventName) !== -1 && this.logger.event) {
+      this.logger.event(eventName, args[0]);
     }
+    return super.emit(eventName, ...args);
   }
-  return widths;
 }
 
 
 /**
- * Checks the percy response to see if it says it's missing any of the resources
- * in our registry so that they can be uploaded.
- * @param {Object} response
- * @return {Array<{id: string}>}
+ * Fills in the default poll options and checks that the given ones are valid.
+ * @param {Object} options The options passed to finalizeBuild().
+ * @return {!PollOptions}
  */
-function parseMissingResources(response) {
-  return response.body.data &&
-      response.body.data.relationships &&
-      response.body.data.relationships['missing-resources'] &&
-      response.body.data.relationships['missing-resources'].data || [];
+function parsePollOptions(options) {
+  const pollOptions = {};
+  Object.keys(DEFAULT_POLL_OPTIONS).forEach((key) => {
+    pollOptions[key] = options[key] === undefined ?
+        DEFAULT_POLL_OPTIONS[key] : options[key];
+  });
+  ['pollInterval', 'maxPollInterval', 'timeout'].forEach((key) => {
+    if (!(pollOptions[key] >= 0)) {
+      throw new TypeError(
+          `"${key}" must be a non-negative number of milliseconds.`);
+    }
+  });
+  if (!(pollOptions.backoffMultiplier >= 1)) {
+    throw new TypeError('"backoffMultiplier" must be a number >= 1.');
+  }
+  if (pollOptions.onPoll && typeof pollOptions.onPoll != 'function') {
+    throw new TypeError('"onPoll" must be a function.');
+  }
+  return pollOptions;
 }
 
+
 /**
- * Displays the error in the console and exits with a non-zero exit code to
- * trigger a failed build message in CI.
- * @param {string} error
+ * @param {number|string} value A concurrency from the options or the
+ *     environment.
+ * @param {string} name Where the value comes from, for the error message.
+ * @return {number}
+ * @throws {TypeError} If the value is not a positive integer.
  */
-function handlePercyFailure(error) {
-  isPercyEnabled = false;
-  console.error(
-      `[percy][ERROR] API call failed, Percy has been disabled 
-      for this build. ${error.toString()}`);
-  process.exit(2);
+function parseConcurrency(value, name) {
+  const concurrency = Number(value);
+  if (!(Number.isInteger(concurrency) && concurrency >= 1)) {
+    throw new TypeError(`"${name}" must be an integer >= 1, got: ${value}`);
+  }
+  return concurrency;
 }
 
+
 /**
- * Logs debug information to the console.
- * @param {Array<string>} args
+ * @param {number} bytes
+ * @return {string} The size for humans, e.g. '1.5 MB'.
  */
-function logDebug(...args) {
-  if (isDebugEnabled) {
-    console.log('[percy] DEBUG', ...args);
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
   }
+  return `${unit == 0 ? size : size.toFixed(1)} ${units[unit]}`;
 }
 
 
 /**
- * Separate logging so we can more easily spy/mock logging.
- * @param args
+ * Separate logging so we can more easily spy/mock logging. Shared by every
+ * client that isn't given its own logger or log options.
+ * @type {!Logger}
  */
-const logger = {
-  log: function(...args) {
-    console.log(...args);
-  },
-  error: function(...args) {
-    console.error(...args);
-  }
-};
+const logger = new Logger();
 
 
 /**
- * Print error message and exit.
- * @param args 
+ * The client behind the module level setup(), snapshot() and finalizeBuild()
+ * functions.
+ * @type {!PercyNodeClient}
  */
-function handleError(...args) {
-  logger.error(...args);
-  process.exit(2);
-}
+const defaultClient = new PercyNodeClient();
 
 
 /** @type {Object<string,Function>} */
 module.exports = {
-  setup, snapshot, finalizeBuild, logger
+  setup: defaultClient.setup.bind(defaultClient),
+  snapshot: defaultClient.snapshot.bind(defaultClient),
+  finalizeBuild: defaultClient.finalizeBuild.bind(defaultClient),
+  on: defaultClient.on.bind(defaultClient),
+  protractor: defaultClient.protractor,
+  webdriver: defaultClient.webdriver,
+  puppeteer: defaultClient.puppeteer,
+  playwright: defaultClient.playwright,
+  serializeDom,
+  SERIALIZE_DOM_SCRIPT,
+  jasmine: defaultClient.jasmine,
+  mocha: defaultClient.mocha,
+  percySnapshot,
+  CLIENT_EVENTS,
+  LOG_LEVELS,
+  logger,
+  Logger,
+  defaultClient,
+  PercyNodeClient,
+  PercyTestRun,
+  Backend,
+  PercyBackend,
+  LocalBackend,
+  DryRunBackend,
+  PercyNodeError,
+  PercyApiError,
+  PercySnapshotError,
+  PercyConfigError,
+  PercyBuildFailedError,
+  PercyBuildTimeoutError,
+  PercyUnreviewedDiffsError,
 };
@@ -0,0 +1,204 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Where the content of the assets a snapshot refers to comes
+ * from. Asset discovery asks each source in turn for a url path until one of
+ * them has it.
+ *
+ *   FileSource   Reads the url path from the root directories. This is the
+ *                same mapping gatherBuildResources() uses for build resources,
+ *                and files above the same size limit are not read.
+ *   HttpSource   Requests the url path from a running server, e.g. a webpack
+ *                dev server that keeps its assets in memory.
+ *
+ * A source is any object with a `fetch(resourceUrl)` method that returns a
+ * promise for an AssetContent, or for null when it doesn't have the url.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const url = require('url');
+const {MAX_FILE_SIZE_BYTES} = require('./resources');
+
+
+/**
+ * The content of an asset.
+ *   - content: The bytes of the asset, unless it is too large.
+ *   - mimetype: The content type, if the source knows it.
+ *   - localPath: The file the content was read from, if any.
+ *   - tooLarge: Whether the source found the asset but didn't read it because
+ *     it is larger than the maximum file size.
+ * @typedef {{
+ *   content: (!Buffer|undefined),
+ *   mimetype: (string|undefined),
+ *   localPath: (string|undefined),
+ *   tooLarge: (boolean|undefined),
+ * }}
+ */
+var AssetContent;
+
+
+/**
+ * How long HttpSource waits for a response by default, in milliseconds.
+ * @const {number}
+ */
+const DEFAULT_HTTP_TIMEOUT = 10000;
+
+
+/**
+ * Reads assets from the root directories of the app.
+ */
+class FileSource {
+  /**
+   * @param {!Array<string>} rootDirs The directories url paths are relative
+   *     to.
+   * @param {{maxFileSize: (number|undefined)}=} opt_options `maxFileSize` is
+   *     the size in bytes above which files are not read, MAX_FILE_SIZE_BYTES
+   *     by default.
+   */
+  constructor(rootDirs, opt_options = {}) {
+    /** @type {!Array<string>} */
+    this.rootDirs = rootDirs;
+
+    /** @private {number} */
+    this.maxFileSize_ = opt_options.maxFileSize || MAX_FILE_SIZE_BYTES;
+  }
+
+  /**
+   * @param {string} resourceUrl An encoded url path, e.g. '/assets/app.css'.
+   * @return {!Promise<?AssetContent>} The first file the url path maps to in
+   *     the root directories. Files outside of the root directories are never
+   *     read, whatever dot segments the url path has, and files above the
+   *     maximum file size are reported as `tooLarge` without being read.
+   */
+  async fetch(resourceUrl) {
+    const filePath = decodeUrlPath(resourceUrl);
+    for (let i = 0; i < this.rootDirs.length; i++) {
+      const rootDir = path.resolve(this.rootDirs[i]);
+      const candidate = path.resolve(rootDir, '.' + path.sep + filePath);
+      if (candidate.indexOf(rootDir + path.sep) !== 0) {
+        continue;
+      }
+      let stats;
+      try {
+        stats = fs.statSync(candidate);
+      } catch (e) {
+        // Not in this root directory.
+        continue;
+      }
+      if (!stats.isFile()) {
+        continue;
+      }
+      if (stats.size > this.maxFileSize_) {
+        return {localPath: candidate, tooLarge: true};
+      }
+      return {content: fs.readFileSync(candidate), localPath: candidate};
+    }
+    return null;
+  }
+}
+
+
+/**
+ * Requests assets from a server. Every url is requested at most once, so
+ * assets shared by many snapshots are only downloaded once.
+ */
+class HttpSource {
+  /**
+   * @param {string} baseUrl The origin (and optional path prefix) url paths
+   *     are requested from, e.g. 'http://localhost:4200'.
+   * @param {{timeout: (number|undefined)}=} opt_options `timeout` is how long
+   *     to wait for a response in milliseconds.
+   */
+  constructor(baseUrl, opt_options = {}) {
+    const parsedUrl = url.parse(baseUrl);
+    if (parsedUrl.protocol != 'http:' && parsedUrl.protocol != 'https:') {
+      throw new TypeError(`baseUrl must be an http(s) url, got: ${baseUrl}`);
+    }
+
+    /** @type {string} */
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+
+    /** @private {number} */
+    this.timeout_ = opt_options.timeout || DEFAULT_HTTP_TIMEOUT;
+
+    /**
+     * The responses by url path.
+     * @private {!Map<string, !Promise<?AssetContent>>}
+     */
+    this.responses_ = new Map();
+  }
+
+  /**
+   * @param {string} resourceUrl An encoded url path, e.g. '/assets/app.css'.
+   * @return {!Promise<?AssetContent>} The response body, or null if the
+   *     server didn't respond with a 200.
+   */
+  fetch(resourceUrl) {
+    if (!this.responses_.has(resourceUrl)) {
+      this.responses_.set(
+          resourceUrl, this.request_(this.baseUrl + resourceUrl));
+    }
+    return this.responses_.get(resourceUrl);
+  }
+
+  /**
+   * @param {string} requestUrl
+   * @return {!Promise<?AssetContent>}
+   * @private
+   */
+  request_(requestUrl) {
+    const client = requestUrl.indexOf('https:') === 0 ? https : http;
+    return new Promise((resolve) => {
+      const request = client.get(requestUrl, (response) => {
+        // The body is read even when it isn't used, to free the socket.
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode != 200) {
+            resolve(null);
+            return;
+          }
+          const contentType = response.headers['content-type'];
+          resolve({
+            content: Buffer.concat(chunks),
+            mimetype: contentType ? contentType.split(';')[0].trim() :
+                undefined,
+          });
+        });
+        response.on('error', () => resolve(null));
+      });
+      request.setTimeout(this.timeout_, () => request.abort());
+      // Unreachable servers are reported like missing assets.
+      request.on('error', () => resolve(null));
+    });
+  }
+}
+
+
+/**
+ * @param {string} resourceUrl An encoded url path.
+ * @return {string} The decoded path, or the url path as it is if it isn't
+ *     validly encoded.
+ */
+function decodeUrlPath(resourceUrl) {
+  try {
+    return decodeURI(resourceUrl);
+  } catch (e) {
+    return resourceUrl;
+  }
+}
+
+
+module.exports = {
+  DEFAULT_HTTP_TIMEOUT,
+  FileSource,
+  HttpSource,
+};
@@ -0,0 +1,377 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Resources are the files a snapshot is rendered with: the root
+ * html of each snapshot plus the build's assets (css, images, fonts, ...).
+ * They are plain objects here. Each backend converts them to whatever its
+ * service needs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const globby = require('globby');
+const minimatch = require('minimatch');
+const path = require('path');
+const PromisePool = require('es6-promise-pool');
+const {readJson, writeJson} = require('./fs-utils');
+
+const MAX_FILE_SIZE_BYTES = 15728640;  // 15MB.
+
+
+/**
+ * Content types by lower case file extension. Percy uses them to serve the
+ * resources when rendering snapshots.
+ * @const {!Object<string, string>}
+ */
+const DEFAULT_MIME_TYPES = {
+  '.css': 'text/css',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.gif': 'image/gif',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.mp4': 'video/mp4',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.txt': 'text/plain',
+  '.webm': 'video/webm',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.xml': 'application/xml',
+};
+
+
+/**
+ * How many build files are hashed at the same time by default.
+ * @const {number}
+ */
+const DEFAULT_HASH_CONCURRENCY = 8;
+
+
+/**
+ * The format of the hash cache file. Caches with another version are ignored.
+ * @const {number}
+ */
+const HASH_CACHE_VERSION = 1;
+
+
+/**
+ * A file that snapshots are rendered with. The same fields as percy-client's
+ * Resource.
+ *   - resourceUrl: The encoded url path the snapshot html refers to the file
+ *     by, e.g. '/assets/styles.css'.
+ *   - sha: The SHA 256 hash of the content.
+ *   - content: The content, if it is held in memory.
+ *   - localPath: Where to read the content from, if it is not in memory.
+ *   - mimetype: The content type, if known.
+ *   - isRoot: Whether this is the html of a snapshot.
+ * @typedef {{
+ *   resourceUrl: string,
+ *   sha: string,
+ *   content: (string|!Buffer|undefined),
+ *   localPath: (string|undefined),
+ *   mimetype: (string|undefined),
+ *   isRoot: (boolean|undefined),
+ * }}
+ */
+var Resource;
+
+
+/**
+ * @param {{
+ *   resourceUrl: string,
+ *   sha: (string|undefined),
+ *   content: (string|!Buffer|undefined),
+ *   localPath: (string|undefined),
+ *   mimetype: (string|undefined),
+ *   isRoot: (boolean|undefined),
+ * }} options Either sha or content is required.
+ * @return {!Resource}
+ */
+function makeResource(options) {
+  if (!options.resourceUrl) {
+    throw new Error('"resourceUrl" is required to create a resource.');
+  }
+  if (!options.sha && options.content === undefined) {
+    throw new Error('Either "sha" or "content" is required to create a ' +
+        'resource.');
+  }
+  return {
+    resourceUrl: options.resourceUrl,
+    sha: options.sha || sha256(options.content),
+    content: options.content,
+    localPath: options.localPath,
+    mimetype: options.mimetype,
+    isRoot: options.isRoot,
+  };
+}
+
+
+/**
+ * @param {string} filePath A file path or url path.
+ * @param {!Object<string, string>=} opt_mimeTypes Content types by extension
+ *     that add to or override DEFAULT_MIME_TYPES, e.g. {'.avif': 'image/avif'}.
+ * @return {string|undefined} The content type for the extension of the path,
+ *     if known.
+ */
+function mimetypeFor(filePath, opt_mimeTypes) {
+  const extension = path.extname(filePath.split(/[?#]/)[0]).toLowerCase();
+  const mimeTypes = Object.assign({}, DEFAULT_MIME_TYPES, opt_mimeTypes);
+  return mimeTypes[extension];
+}
+
+
+/**
+ * A build file that was not turned into a resource.
+ *   - reason: 'ignored' if it matches an `ignore` glob, 'tooLarge' if it is
+ *     larger than the maximum file size.
+ *   - size: The size in bytes of files that are too large.
+ * @typedef {{resourceUrl: string, reason: string, size: (number|undefined)}}
+ */
+var SkippedFile;
+
+
+/**
+ * Reads the content of a resource, from memory or from disk.
+ * @param {!Resource} resource
+ * @return {string|!Buffer}
+ */
+function readResourceContent(resource) {
+  return resource.content !== undefined ?
+      resource.content : fs.readFileSync(resource.localPath);
+}
+
+
+/**
+ * @param {!Resource} resource
+ * @return {number} The size of the resource content in bytes.
+ */
+function resourceSize(resource) {
+  return resource.content !== undefined ?
+      Buffer.byteLength(resource.content) :
+      fs.statSync(resource.localPath).size;
+}
+
+
+/**
+ * @param {string|!Buffer} content
+ * @return {string} The hex SHA 256 hash of the content.
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+
+/**
+ * @param {string} file
+ * @return {!Promise<string>} The hex SHA 256 hash of the file content. The
+ *     file is streamed, not read into memory at once.
+ */
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+
+/**
+ * Reads the filesystem for assets and assembles an object to be handed to percy
+ * so it can upload the assets.
+ * Walks the build directories and streams each file through a SHA 256 hash, a
+ * few files at a time, then creates a mapping of hashes to Resource objects.
+ * The content is not kept in memory, it is read again when the resource is
+ * uploaded.
+ * @param {Array<string>} buildDirs the directory to look in for assets.
+ * @param {Array<string>} rootDirs The directory for the root of the app.
+ *     This is used to change a local path to a url path.
+ * @param {{
+ *   concurrency: (number|undefined),
+ *   cacheFile: (string|undefined),
+ *   ignore: (!Array<string>|undefined),
+ *   maxFileSize: (number|undefined),
+ *   mimeTypes: (!Object<string, string>|undefined),
+ * }=} opt_options
+ *     `concurrency` is how many files are hashed at the same time.
+ *     `cacheFile` is a json file that stores the hash of every file by path,
+ *     modification time and size. Files that haven't changed since the last
+ *     run are not read again.
+ *     `ignore` are globs of files to leave out, matched against the url path
+ *     without the leading slash, e.g. ['**\/*.map', '**\/.DS_Store'].
+ *     `maxFileSize` is the size in bytes above which files are skipped,
+ *     MAX_FILE_SIZE_BYTES by default.
+ *     `mimeTypes` add to or override DEFAULT_MIME_TYPES.
+ * @return {!Promise<{
+ *   resources: !Object<string, !Resource>,
+ *   skipped: !Array<!SkippedFile>,
+ * }>} The resources by sha, and the files that were ignored or too large.
+ */
+async function gatherBuildResources(buildDirs, rootDirs, opt_options = {}) {
+  const cacheFile = opt_options.cacheFile;
+  const cache = cacheFile ? readHashCache(cacheFile) : {};
+  const newCache = {};
+  const ignore = opt_options.ignore || [];
+  const options = {
+    rootDirs: rootDirs,
+    maxFileSize: opt_options.maxFileSize || MAX_FILE_SIZE_BYTES,
+    mimeTypes: opt_options.mimeTypes,
+    cache: cache,
+    newCache: newCache,
+  };
+  // Sorted so that the resources are in the same order on every run.
+  const paths = (await globby(buildDirs, {absolute: true, nodir: true}))
+      .sort();
+  const files = [];
+  const skipped = [];
+  paths.forEach((absolutePath) => {
+    const resourceUrl = toResourceUrl(absolutePath, rootDirs);
+    if (ignore.some((pattern) => minimatch(
+        decodeURI(resourceUrl).slice(1), pattern, {dot: true}))) {
+      skipped.push({resourceUrl: resourceUrl, reason: 'ignored'});
+    } else {
+      files.push({absolutePath: absolutePath, resourceUrl: resourceUrl});
+    }
+  });
+
+  const results = [];
+  let fileIndex = 0;
+  const promiseGenerator = () => {
+    if (fileIndex >= files.length) {
+      // Trigger the pool to end.
+      return null;
+    }
+    const index = fileIndex++;
+    return gatherBuildResource(
+        files[index].absolutePath, files[index].resourceUrl, options)
+        .then((result) => {
+          results[index] = result;
+        });
+  };
+  const concurrency = opt_options.concurrency || DEFAULT_HASH_CONCURRENCY;
+  await new PromisePool(promiseGenerator, concurrency).start();
+
+  if (cacheFile) {
+    writeJson(cacheFile, {version: HASH_CACHE_VERSION, files: newCache});
+  }
+
+  const hashToResource = {};
+  results.forEach((result) => {
+    if (result && result.sha) {
+      hashToResource[result.sha] = result;
+    } else if (result) {
+      skipped.push(result);
+    }
+  });
+  return {resources: hashToResource, skipped: skipped};
+}
+
+
+/**
+ * @param {string} absolutePath
+ * @param {Array<string>} rootDirs
+ * @return {string} The encoded url path of the file.
+ */
+function toResourceUrl(absolutePath, rootDirs) {
+  let resourceUrl = absolutePath;
+  rootDirs.forEach((rootDir) => {
+    resourceUrl = resourceUrl.replace(rootDir, '');
+  });
+  if (resourceUrl.charAt(0) !== '/') resourceUrl = '/' + resourceUrl;
+  return encodeURI(resourceUrl);
+}
+
+
+/**
+ * @param {string} absolutePath The build file.
+ * @param {string} resourceUrl The url path of the file.
+ * @param {{
+ *   maxFileSize: number,
+ *   mimeTypes: (!Object<string, string>|undefined),
+ *   cache: !Object<string, HashCacheEntry>,
+ *   newCache: !Object<string, HashCacheEntry>,
+ * }} options `cache` has the hashes of the last run. The entry for the file
+ *     is added to `newCache`.
+ * @return {!Promise<!Resource|!SkippedFile>} A SkippedFile if the file is too
+ *     large.
+ */
+async function gatherBuildResource(absolutePath, resourceUrl, options) {
+  const stats = await new Promise((resolve, reject) => {
+    fs.stat(absolutePath, (error, stats) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stats);
+      }
+    });
+  });
+  // Skip large files.
+  if (stats.size > options.maxFileSize) {
+    return {resourceUrl: resourceUrl, reason: 'tooLarge', size: stats.size};
+  }
+
+  const mtime = stats.mtime.getTime();
+  const cached = options.cache[absolutePath];
+  const sha = cached && cached.mtime === mtime && cached.size === stats.size ?
+      cached.sha : await sha256File(absolutePath);
+  options.newCache[absolutePath] = {mtime: mtime, size: stats.size, sha: sha};
+
+  return makeResource({
+    resourceUrl: resourceUrl,
+    sha: sha,
+    localPath: absolutePath,
+    mimetype: mimetypeFor(absolutePath, options.mimeTypes),
+  });
+}
+
+
+/**
+ * An entry of the hash cache.
+ * @typedef {{mtime: number, size: number, sha: string}}
+ */
+var HashCacheEntry;
+
+
+/**
+ * @param {string} cacheFile
+ * @return {!Object<string, HashCacheEntry>} The cached hashes by path. Empty
+ *     if the file doesn't exist or can't be used.
+ */
+function readHashCache(cacheFile) {
+  let cache;
+  try {
+    cache = readJson(cacheFile);
+  } catch (e) {
+    // A corrupt cache is rebuilt.
+    return {};
+  }
+  return cache && cache.version === HASH_CACHE_VERSION && cache.files || {};
+}
+
+
+module.exports = {
+  MAX_FILE_SIZE_BYTES,
+  DEFAULT_MIME_TYPES,
+  DEFAULT_HASH_CONCURRENCY,
+  makeResource,
+  mimetypeFor,
+  readResourceContent,
+  resourceSize,
+  sha256,
+  sha256File,
+  gatherBuildResources,
+};
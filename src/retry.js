@@ -0,0 +1,178 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Retries percy api calls that fail with transient errors, such
+ * as a 502 from a load balancer or a reset socket.
+ *
+ * percy-client already retries 5xx responses a few times in quick succession,
+ * which doesn't help with outages that last more than a fraction of a second,
+ * and doesn't retry network errors at all. The retries here wrap those with a
+ * longer backoff. Calls that create something are only retried on errors
+ * that show the request never reached the server, see PercyBackend.
+ */
+
+
+/**
+ * Options for retrying percy api calls.
+ *   - attempts: How many times to call the api in total, including the first
+ *     call. 1 disables retries.
+ *   - interval: Milliseconds to wait before the first retry.
+ *   - backoffMultiplier: The interval is multiplied by this after every retry.
+ *   - maxInterval: Upper bound for the interval in milliseconds.
+ *   - statusCodes: Http status codes that are worth retrying. Network errors
+ *     without a response (see RETRYABLE_ERROR_CODES) are always retried.
+ * @typedef {{
+ *   attempts: number,
+ *   interval: number,
+ *   backoffMultiplier: number,
+ *   maxInterval: number,
+ *   statusCodes: !Array<number>,
+ * }}
+ */
+var RetryOptions;
+
+
+/** @const {!RetryOptions} */
+const DEFAULT_RETRY_OPTIONS = {
+  attempts: 3,
+  interval: 1000,
+  backoffMultiplier: 2,
+  maxInterval: 10000,
+  statusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+
+/**
+ * Node error codes of requests that failed without a response and may
+ * succeed when retried.
+ * @const {!Array<string>}
+ */
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+];
+
+
+/**
+ * Fills in the default retry options and checks that the given ones are
+ * valid.
+ * @param {Object=} opt_options
+ * @return {!RetryOptions}
+ */
+function parseRetryOptions(opt_options = {}) {
+  const options = {};
+  Object.keys(DEFAULT_RETRY_OPTIONS).forEach((key) => {
+    options[key] = opt_options[key] === undefined ?
+        DEFAULT_RETRY_OPTIONS[key] : opt_options[key];
+  });
+  if (!(Number.isInteger(options.attempts) && options.attempts >= 1)) {
+    throw new TypeError('Retry "attempts" must be an integer >= 1.');
+  }
+  ['interval', 'maxInterval'].forEach((key) => {
+    if (!(options[key] >= 0)) {
+      throw new TypeError(
+          `Retry "${key}" must be a non-negative number of milliseconds.`);
+    }
+  });
+  if (!(options.backoffMultiplier >= 1)) {
+    throw new TypeError('Retry "backoffMultiplier" must be a number >= 1.');
+  }
+  if (!Array.isArray(options.statusCodes)) {
+    throw new TypeError('Retry "statusCodes" must be an array.');
+  }
+  return options;
+}
+
+
+/**
+ * Node error codes of requests that failed before they were sent, so the
+ * server can't have acted on them.
+ * @const {!Array<string>}
+ */
+const UNSENT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+];
+
+
+/**
+ * Whether a failed api call is worth retrying.
+ * @param {*} error The error raised by percy-client (request-promise).
+ * @param {!RetryOptions} options
+ * @param {!Array<string>=} opt_errorCodes The network error codes to retry,
+ *     RETRYABLE_ERROR_CODES by default.
+ * @return {boolean}
+ */
+function isRetryable(error, options, opt_errorCodes = RETRYABLE_ERROR_CODES) {
+  if (!error) {
+    return false;
+  }
+  if (error.statusCode) {
+    return options.statusCodes.indexOf(error.statusCode) !== -1;
+  }
+  // request-promise wraps network errors in a RequestError with the original
+  // error as the cause.
+  const cause = error.cause || error.error || error;
+  return opt_errorCodes.indexOf(cause.code) !== -1;
+}
+
+
+/**
+ * Calls `fn` until it resolves, it rejects with an error that isn't worth
+ * retrying, or it has been called `options.attempts` times.
+ * @param {function(): !Promise<T>} fn
+ * @param {!RetryOptions} options
+ * @param {function(*, number, number)=} opt_onRetry Called with the error, the
+ *     number of the upcoming attempt and the delay before it, right before
+ *     waiting to retry.
+ * @param {!Array<string>=} opt_errorCodes See isRetryable().
+ * @return {!Promise<T>} Rejects with the last error.
+ * @template T
+ */
+async function withRetry(fn, options, opt_onRetry, opt_errorCodes) {
+  let interval = options.interval;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= options.attempts ||
+          !isRetryable(error, options, opt_errorCodes)) {
+        throw error;
+      }
+      if (opt_onRetry) {
+        opt_onRetry(error, attempt + 1, interval);
+      }
+      await delay(interval);
+      interval = Math.min(interval * options.backoffMultiplier,
+          options.maxInterval);
+    }
+  }
+}
+
+
+/**
+ * @param {number} ms
+ * @return {!Promise} Resolves after the given number of milliseconds.
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  UNSENT_ERROR_CODES,
+  parseRetryOptions,
+  isRetryable,
+  withRetry,
+  delay,
+};
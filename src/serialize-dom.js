@@ -0,0 +1,225 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Serializes the live document of a browser page into html, so
+ * that percy renders what the page shows rather than the html it was loaded
+ * with. serializeDom() runs in the page, e.g. with Puppeteer's or Playwright's
+ * `page.evaluate(serializeDom, options)`, so it must not refer to anything
+ * outside of its own body. SERIALIZE_DOM_SCRIPT runs it with webdriver's
+ * `executeScript(SERIALIZE_DOM_SCRIPT, options)`.
+ */
+
+
+/**
+ * The options of serializeDom().
+ *   - selector: A css selector of the element to serialize. Defaults to
+ *     'html', the whole document.
+ *   - enableJavaScript: Whether to keep the scripts of the page, for
+ *     snapshots that are rendered with javascript enabled. Defaults to false.
+ * @typedef {{
+ *   selector: (string|undefined),
+ *   enableJavaScript: (boolean|undefined),
+ * }}
+ */
+var SerializeDomOptions;
+
+
+/**
+ * Returns the html of the element matching the selector, with:
+ *   - the current values of inputs and textareas, and the checked and
+ *     selected state of checkboxes, radio buttons and options, written into
+ *     the html.
+ *   - open shadow roots as declarative shadow dom, i.e.
+ *     `<template shadowrootmode="open">`.
+ *   - the rules of style elements as they are in the CSSOM, which includes
+ *     rules inserted by CSS-in-JS libraries, and adopted stylesheets as style
+ *     elements.
+ *   - canvases as images of their current content. Canvases that show
+ *     images from other origins can't be read and are kept.
+ *   - no scripts, unless enableJavaScript is set.
+ * The whole document keeps its doctype, so that percy doesn't render it in
+ * quirks mode. The page itself is not changed.
+ * @param {!SerializeDomOptions=} opt_options
+ * @return {?string} Null if no element matches the selector.
+ */
+function serializeDom(opt_options) {
+  const options = opt_options || {};
+
+  /**
+   * Writes the state of a form control into the attributes of its clone.
+   * @param {!Element} element
+   * @param {!Element} clone
+   */
+  function freezeFormState(element, clone) {
+    const tagName = element.tagName;
+    if (tagName == 'INPUT') {
+      if (element.type == 'checkbox' || element.type == 'radio') {
+        if (element.checked) {
+          clone.setAttribute('checked', '');
+        } else {
+          clone.removeAttribute('checked');
+        }
+      } else if (element.type != 'file' && element.type != 'password') {
+        clone.setAttribute('value', element.value);
+      }
+    } else if (tagName == 'OPTION') {
+      if (element.selected) {
+        clone.setAttribute('selected', '');
+      } else {
+        clone.removeAttribute('selected');
+      }
+    } else if (tagName == 'TEXTAREA') {
+      clone.textContent = element.value;
+    }
+  }
+
+  /**
+   * @param {!CSSStyleSheet} sheet
+   * @return {?string} The css of the rules of the sheet, null if they can't be
+   *     read because the sheet is from another origin.
+   */
+  function sheetCss(sheet) {
+    try {
+      return Array.prototype.map.call(
+          sheet.cssRules, (rule) => rule.cssText).join('\n');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {!Array<!CSSStyleSheet>|undefined} sheets
+   * @return {!Array<!Element>} Style elements with the css of the sheets.
+   */
+  function adoptedStyleElements(sheets) {
+    return Array.prototype.map.call(sheets || [], (sheet) => {
+      const style = document.createElement('style');
+      style.setAttribute('data-percy-adopted-stylesheet', '');
+      style.textContent = sheetCss(sheet) || '';
+      return style;
+    });
+  }
+
+  /**
+   * @param {!HTMLCanvasElement} canvas
+   * @return {?Element} An image of the canvas with its attributes, null if
+   *     the canvas can't be read.
+   */
+  function canvasImage(canvas) {
+    let dataUrl;
+    try {
+      dataUrl = canvas.toDataURL();
+    } catch (e) {
+      return null;
+    }
+    if (!dataUrl || dataUrl == 'data:,') {
+      return null;
+    }
+    const image = document.createElement('img');
+    Array.prototype.forEach.call(canvas.attributes, (attribute) => {
+      image.setAttribute(attribute.name, attribute.value);
+    });
+    image.setAttribute('src', dataUrl);
+    image.setAttribute('width', canvas.width);
+    image.setAttribute('height', canvas.height);
+    return image;
+  }
+
+  /**
+   * Deep clones a node along with its shadow roots, form state, style rules
+   * and canvas contents.
+   * @param {!Node} node
+   * @return {?Node} Null for nodes that are left out.
+   */
+  function cloneNode(node) {
+    if (node.nodeType != Node.ELEMENT_NODE) {
+      return node.cloneNode(false);
+    }
+    const tagName = node.tagName;
+    if (tagName == 'SCRIPT' && !options.enableJavaScript) {
+      return null;
+    }
+    if (tagName == 'CANVAS') {
+      const image = canvasImage(node);
+      if (image) {
+        return image;
+      }
+    }
+
+    const clone = node.cloneNode(false);
+    if (node.shadowRoot) {
+      const template = document.createElement('template');
+      template.setAttribute('shadowrootmode', node.shadowRoot.mode);
+      adoptedStyleElements(node.shadowRoot.adoptedStyleSheets).forEach(
+          (style) => template.content.appendChild(style));
+      appendClones(template.content, node.shadowRoot.childNodes);
+      clone.appendChild(template);
+    }
+    // Template contents are not child nodes, and are not cloned without deep.
+    if (tagName == 'TEMPLATE') {
+      appendClones(clone.content, node.content.childNodes);
+    } else {
+      appendClones(clone, node.childNodes);
+    }
+    if (tagName == 'STYLE' && node.sheet) {
+      const css = sheetCss(node.sheet);
+      if (css !== null) {
+        clone.textContent = css;
+      }
+    }
+    freezeFormState(node, clone);
+    return clone;
+  }
+
+  /**
+   * @param {!Node} parent
+   * @param {!NodeList} nodes
+   */
+  function appendClones(parent, nodes) {
+    Array.prototype.forEach.call(nodes, (node) => {
+      const clone = cloneNode(node);
+      if (clone) {
+        parent.appendChild(clone);
+      }
+    });
+  }
+
+  const element = document.querySelector(options.selector || 'html');
+  if (!element) {
+    return null;
+  }
+  const clone = cloneNode(element);
+  if (element !== document.documentElement) {
+    return clone.outerHTML;
+  }
+  const head = clone.querySelector('head') || clone;
+  adoptedStyleElements(document.adoptedStyleSheets).forEach(
+      (style) => head.appendChild(style));
+  const doctype = document.doctype;
+  if (!doctype) {
+    return clone.outerHTML;
+  }
+  return '<!DOCTYPE ' + doctype.name +
+      (doctype.publicId ? ' PUBLIC "' + doctype.publicId + '"' : '') +
+      (doctype.systemId ? ' "' + doctype.systemId + '"' : '') + '>' +
+      clone.outerHTML;
+}
+
+
+/**
+ * Runs serializeDom() with webdriver's executeScript(), which passes the
+ * options as the first argument.
+ * @const {string}
+ */
+const SERIALIZE_DOM_SCRIPT = `return (${serializeDom})(arguments[0]);`;
+
+
+module.exports = {
+  SERIALIZE_DOM_SCRIPT,
+  serializeDom,
+};
@@ -0,0 +1,274 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Jasmine and Mocha integrations, which set up the percy build
+ * before the tests run, finalize it after they are done and give the tests a
+ * percySnapshot(name, html) helper. Snapshot names are prefixed with the
+ * names of the describe blocks the test is in.
+ *
+ * Jasmine, in a helper file:
+ *   percyNodeClient.jasmine.install({setup: {assets: ['dist/assets/**']}});
+ *
+ * Mocha, with `--require percy-node/mocha` or in a root hooks plugin:
+ *   exports.mochaHooks = percyNodeClient.mocha.hooks({getDiffs: true});
+ *
+ * And in the tests:
+ *   describe('Homepage', function() {
+ *     it('should look awesome-o', function() {
+ *       return this.percySnapshot('menu', renderMenu());  // 'Homepage menu'
+ *     });
+ *   });
+ */
+
+const {PercySnapshotError} = require('./errors');
+
+
+/**
+ * How long the setup and finalization hooks may take by default, in
+ * milliseconds. Uploading the build resources or waiting for the build results
+ * easily takes longer than the test frameworks' default timeouts.
+ * @const {number}
+ */
+const DEFAULT_HOOK_TIMEOUT = 10 * 60 * 1000;
+
+
+/**
+ * The options of the test runner integrations.
+ *   - setup: The SetupOptions to set up the build with, see ./config.js.
+ *     Defaults to the options in the config file.
+ *   - getDiffs: Passed to finalizeBuild(). When set, the run fails with a
+ *     PercyUnreviewedDiffsError or PercyBuildFailedError if percy finds
+ *     unreviewed diffs or the build fails.
+ *   - timeout: Milliseconds the setup and finalization may take. Defaults to
+ *     DEFAULT_HOOK_TIMEOUT.
+ * @typedef {{
+ *   setup: (!SetupOptions|undefined),
+ *   getDiffs: (boolean|!PollOptions|undefined),
+ *   timeout: (number|undefined),
+ * }}
+ */
+var TestRunOptions;
+
+
+/**
+ * The test run whose tests percySnapshot() takes snapshots for.
+ * @type {?PercyTestRun}
+ */
+let activeRun = null;
+
+
+/**
+ * A run of the tests of a test framework, which is one percy build.
+ */
+class PercyTestRun {
+  /**
+   * @param {!PercyNodeClient} client
+   * @param {!TestRunOptions=} opt_options
+   */
+  constructor(client, opt_options = {}) {
+    /** @private {!PercyNodeClient} */
+    this.client_ = client;
+
+    /** @private {!TestRunOptions} */
+    this.options_ = opt_options;
+
+    /** @type {number} */
+    this.timeout = opt_options.timeout || DEFAULT_HOOK_TIMEOUT;
+
+    /**
+     * The names of the describe blocks of the current test, outermost first.
+     * @type {!Array<string>}
+     */
+    this.describePath = [];
+
+    /** @private {?Promise} */
+    this.setupPromise_ = null;
+
+    /** @private {?Promise<(!BuildResult|undefined)>} */
+    this.finalizePromise_ = null;
+
+    /**
+     * Takes a snapshot for the current test, see percySnapshot().
+     * @type {function(string, string, !Object=): !Promise<?SnapshotResult>}
+     */
+    this.percySnapshot = this.percySnapshot.bind(this);
+  }
+
+  /**
+   * Sets up the build. Later calls return the same promise.
+   * @return {!Promise}
+   */
+  setup() {
+    if (!this.setupPromise_) {
+      activeRun = this;
+      this.setupPromise_ = this.client_.setup(this.options_.setup || {});
+    }
+    return this.setupPromise_;
+  }
+
+  /**
+   * Finalizes the build. Later calls return the same promise.
+   * @return {!Promise<(!BuildResult|undefined)>} See finalizeBuild().
+   */
+  finalize() {
+    if (!this.finalizePromise_) {
+      this.finalizePromise_ =
+          this.client_.finalizeBuild(this.options_.getDiffs || false);
+    }
+    return this.finalizePromise_;
+  }
+
+  /**
+   * Takes a snapshot named after the describe blocks of the current test and
+   * the given name, e.g. 'Homepage menu open'.
+   * @param {string} name
+   * @param {string} content The html of the snapshot.
+   * @param {!Object=} opt_options Any of the other SnapshotOptions, e.g.
+   *     `{breakpoints: ['small']}`.
+   * @return {!Promise<?SnapshotResult>} See PercyNodeClient.snapshot().
+   */
+  percySnapshot(name, content, opt_options) {
+    return this.client_.snapshot(Object.assign({}, opt_options, {
+      name: this.describePath.concat([name]).join(' '),
+      content: content,
+    }));
+  }
+
+  /**
+   * @return {!Object} A Jasmine reporter that keeps track of the describe
+   *     blocks of the current spec.
+   */
+  jasmineReporter() {
+    return {
+      suiteStarted: (result) => {
+        this.describePath.push(result.description);
+      },
+      suiteDone: () => {
+        this.describePath.pop();
+      },
+    };
+  }
+
+  /**
+   * @return {{
+   *   beforeAll: function(!Function),
+   *   afterAll: function(!Function),
+   *   beforeEach: function(),
+   * }} The Jasmine hooks, which fail the run if the build can't be set up or
+   *     finalized. beforeEach adds percySnapshot to the `this` of the specs.
+   */
+  jasmineHooks() {
+    const run = this;
+    return {
+      beforeAll: (done) => {
+        run.setup().then(() => done(), (error) => done.fail(error));
+      },
+      afterAll: (done) => {
+        run.finalize().then(() => done(), (error) => done.fail(error));
+      },
+      beforeEach: function() {
+        this.percySnapshot = run.percySnapshot;
+      },
+    };
+  }
+
+  /**
+   * @return {{
+   *   beforeAll: function(): !Promise,
+   *   afterAll: function(): !Promise,
+   *   beforeEach: function(),
+   * }} Mocha root hooks. A rejected setup or finalization fails the run.
+   *     beforeEach adds percySnapshot to the `this` of the tests.
+   */
+  mochaHooks() {
+    const run = this;
+    return {
+      beforeAll: function() {
+        this.timeout(run.timeout);
+        return run.setup();
+      },
+      afterAll: function() {
+        this.timeout(run.timeout);
+        return run.finalize();
+      },
+      beforeEach: function() {
+        run.describePath = mochaDescribePath(this.currentTest);
+        this.percySnapshot = run.percySnapshot;
+      },
+    };
+  }
+}
+
+
+/**
+ * @param {!Object} test A Mocha test.
+ * @return {!Array<string>} The titles of the suites of the test, outermost
+ *     first.
+ */
+function mochaDescribePath(test) {
+  const titles = [];
+  for (let suite = test.parent; suite && !suite.root; suite = suite.parent) {
+    titles.unshift(suite.title);
+  }
+  return titles;
+}
+
+
+/**
+ * Adds the percy reporter and hooks to Jasmine. Call it from a helper file, or
+ * Protractor's onPrepare(), before the specs are defined.
+ * @param {!PercyNodeClient} client
+ * @param {!TestRunOptions=} opt_options
+ * @return {!PercyTestRun}
+ */
+function installJasmine(client, opt_options) {
+  const run = new PercyTestRun(client, opt_options);
+  const hooks = run.jasmineHooks();
+  jasmine.getEnv().addReporter(run.jasmineReporter());
+  beforeAll(hooks.beforeAll, run.timeout);
+  afterAll(hooks.afterAll, run.timeout);
+  beforeEach(hooks.beforeEach);
+  return run;
+}
+
+
+/**
+ * @param {!PercyNodeClient} client
+ * @param {!TestRunOptions=} opt_options
+ * @return {!Object} Mocha root hooks for the client, see
+ *     PercyTestRun.mochaHooks().
+ */
+function createMochaHooks(client, opt_options) {
+  return new PercyTestRun(client, opt_options).mochaHooks();
+}
+
+
+/**
+ * Takes a snapshot for the current test of the test run that was set up
+ * last, for tests that can't use `this.percySnapshot`, e.g. arrow functions.
+ * @param {string} name
+ * @param {string} content
+ * @param {!Object=} opt_options
+ * @return {!Promise<?SnapshotResult>} See PercyTestRun.percySnapshot().
+ */
+function percySnapshot(name, content, opt_options) {
+  if (!activeRun) {
+    return Promise.reject(new PercySnapshotError('percySnapshot() needs ' +
+        'the Jasmine or Mocha integration of percy-node to be set up.', name));
+  }
+  return activeRun.percySnapshot(name, content, opt_options);
+}
+
+
+module.exports = {
+  DEFAULT_HOOK_TIMEOUT,
+  PercyTestRun,
+  createMochaHooks,
+  installJasmine,
+  percySnapshot,
+};
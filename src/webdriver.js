@@ -0,0 +1,111 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ *
+ * @fileoverview Takes snapshots of the page a selenium-webdriver driver or a
+ * Protractor browser is showing.
+ *
+ *   it('should look right', async () => {
+ *     await browser.get('/home');
+ *     await percyNodeClient.protractor.snapshot(browser, 'home');
+ *     await element(by.css('.menu')).click();
+ *     await percyNodeClient.protractor.snapshot(
+ *         browser, 'home menu', {selector: '.menu', breakpoints: ['small']});
+ *   });
+ */
+
+const {PercySnapshotError} = require('./errors');
+const {SERIALIZE_DOM_SCRIPT} = require('./serialize-dom');
+
+
+/**
+ * The options of a webdriver snapshot. Besides the SnapshotOptions other than
+ * name and content:
+ *   - selector: A css selector of the element to snapshot. Defaults to 'html',
+ *     the whole document.
+ *   - waitForAngular: Whether Protractor snapshots wait for Angular to finish
+ *     rendering and pending requests first. Defaults to true.
+ * @typedef {{
+ *   selector: (string|undefined),
+ *   waitForAngular: (boolean|undefined),
+ *   breakpoints: (!Array<string>|undefined),
+ *   widths: (!Array<number>|undefined),
+ *   enableJavaScript: (boolean|undefined),
+ *   minHeight: (number|undefined),
+ *   resources: (!Array<!Object>|undefined),
+ * }}
+ */
+var WebDriverSnapshotOptions;
+
+
+/**
+ * @param {{executeScript: function(string, ...*): !Promise}} driver A
+ *     selenium-webdriver WebDriver, or anything else that executes scripts in
+ *     the page the same way, like a Protractor browser.
+ * @param {!SerializeDomOptions=} opt_options
+ * @return {!Promise<?string>} The html of the element matching the selector,
+ *     serialized with ./serialize-dom.js. Null if no element matches.
+ */
+async function captureDom(driver, opt_options = {}) {
+  const html = await driver.executeScript(SERIALIZE_DOM_SCRIPT, {
+    selector: opt_options.selector,
+    enableJavaScript: opt_options.enableJavaScript,
+  });
+  return typeof html == 'string' ? html : null;
+}
+
+
+/**
+ * Snapshots the page the driver is showing. The page is captured before the
+ * returned promise resolves, so the driver can move on to the next page right
+ * after awaiting it.
+ * @param {!PercyNodeClient} client
+ * @param {{executeScript: function(string, ...*): !Promise}} driver
+ * @param {string} name
+ * @param {!WebDriverSnapshotOptions=} opt_options
+ * @return {!Promise<?SnapshotResult>} See PercyNodeClient.snapshot(). Also
+ *     rejects with a PercySnapshotError if no element matches the selector.
+ */
+async function webDriverSnapshot(client, driver, name, opt_options = {}) {
+  const content = await captureDom(driver, opt_options);
+  if (content === null) {
+    throw new PercySnapshotError(`Snapshot "${name}" has no element matching ` +
+        `"${opt_options.selector}".`, name);
+  }
+  const snapshotOptions = Object.assign({}, opt_options, {name, content});
+  delete snapshotOptions.selector;
+  delete snapshotOptions.waitForAngular;
+  return client.snapshot(snapshotOptions);
+}
+
+
+/**
+ * Snapshots the page a Protractor browser is showing, once Angular is stable.
+ * @param {!PercyNodeClient} client
+ * @param {{
+ *   executeScript: function(string, ...*): !Promise,
+ *   waitForAngular: (function(): !Promise|undefined),
+ * }} browser
+ * @param {string} name
+ * @param {!WebDriverSnapshotOptions=} opt_options
+ * @return {!Promise<?SnapshotResult>} See webDriverSnapshot().
+ */
+async function protractorSnapshot(client, browser, name, opt_options = {}) {
+  // Protractor skips the wait by itself for pages that are not Angular apps,
+  // when synchronization is disabled.
+  if (opt_options.waitForAngular !== false && browser.waitForAngular) {
+    await browser.waitForAngular();
+  }
+  return webDriverSnapshot(client, browser, name, opt_options);
+}
+
+
+module.exports = {
+  captureDom,
+  protractorSnapshot,
+  webDriverSnapshot,
+};
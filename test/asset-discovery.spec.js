@@ -0,0 +1,249 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests finding the assets snapshot html refers to.
+ */
+
+const fs = require('fs');
+const nock = require('nock');
+const os = require('os');
+const path = require('path');
+const {FileSource, HttpSource} = require(
+    path.join(__dirname, '..', 'src', 'resource-sources'));
+const {
+  findHtmlReferences,
+  findCssReferences,
+  discoverSnapshotResources,
+} = require(path.join(__dirname, '..', 'src', 'asset-discovery'));
+
+
+describe('findHtmlReferences', function() {
+  it('should find assets in tags and inline styles', () => {
+    const html = `
+      <link rel="stylesheet" href="/css/app.css">
+      <link rel="canonical" href="/home">
+      <link rel="icon" href='favicon.ico'>
+      <img src="/img/logo.png" srcset="/img/logo@2x.png 2x, /img/logo@3x.png 3x">
+      <picture><source srcset="/img/hero.webp"></picture>
+      <video poster=/img/poster.jpg></video>
+      <div style="background: url('/img/bg.png')"></div>
+      <style>@import "/css/theme.css"; h1 { background: url(/img/h1.png); }</style>
+    `;
+    expect(findHtmlReferences(html)).toEqual([
+      '/css/app.css',
+      'favicon.ico',
+      '/img/logo.png',
+      '/img/logo@2x.png',
+      '/img/logo@3x.png',
+      '/img/hero.webp',
+      '/img/poster.jpg',
+      '/img/bg.png',
+      '/css/theme.css',
+      '/img/h1.png',
+    ]);
+  });
+});
+
+
+describe('findCssReferences', function() {
+  it('should find imports and urls outside of comments', () => {
+    const css = `
+      @import url("base.css");
+      @import 'print.css' print;
+      /* background: url(commented.png); */
+      @font-face { src: url(../fonts/icons.woff2) format("woff2"); }
+    `;
+    expect(findCssReferences(css)).toEqual([
+      'base.css',
+      'print.css',
+      '../fonts/icons.woff2',
+    ]);
+  });
+});
+
+
+describe('discoverSnapshotResources', function() {
+  let rootDir;
+
+  /**
+   * @param {string} file Path relative to the root directory.
+   * @param {string} content
+   */
+  function writeFile(file, content) {
+    const filePath = path.join(rootDir, file);
+    try {
+      fs.mkdirSync(path.dirname(filePath));
+    } catch (e) {
+      // Already exists.
+    }
+    fs.writeFileSync(filePath, content);
+  }
+
+  beforeEach(function() {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-discovery-'));
+    writeFile('css/app.css', '@import "theme.css"; ' +
+        '@font-face { src: url(../fonts/icons.woff); }');
+    writeFile('css/theme.css', 'body { background: url(/img/missing.png); }');
+    writeFile('fonts/icons.woff', 'woff');
+    writeFile('img/logo%201.png', 'png');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should resolve references against the root directories', (done) => {
+    const html = `
+      <link rel="stylesheet" href="/css/app.css?v=2">
+      <img src="img/logo%25201.png">
+      <img src="https://example.com/external.png">
+      <img src="data:image/png;base64,AAAA">
+    `;
+    discoverSnapshotResources(html, {
+      sources: [new FileSource([rootDir])],
+      knownUrls: new Set(['/css/theme.css']),
+    }).then((discovered) => {
+      expect(discovered.resources.map((resource) => resource.resourceUrl))
+          .toEqual(
+              ['/css/app.css', '/fonts/icons.woff', '/img/logo%25201.png']);
+      expect(discovered.resources[1].localPath)
+          .toBe(path.join(rootDir, 'fonts', 'icons.woff'));
+      expect(discovered.resources[1].content.toString()).toBe('woff');
+      // Known stylesheets are still scanned for references.
+      expect(discovered.known).toEqual(['/css/theme.css']);
+      expect(discovered.unresolved).toEqual(['/img/missing.png']);
+      expect(discovered.tooLarge).toEqual([]);
+      done();
+    });
+  });
+
+  it('should request assets the root directories do not have', (done) => {
+    const server = nock('http://localhost:4200')
+        .get('/main.css')
+        .reply(200, 'body { background: url(img/bg.png); }',
+            {'Content-Type': 'text/css; charset=utf-8'})
+        .get('/img/bg.png')
+        .reply(200, 'png', {'Content-Type': 'image/png'})
+        .get('/img/missing.png')
+        .reply(404);
+    const html = '<link rel="stylesheet" href="main.css">' +
+        '<img src="/fonts/icons.woff"><img src="/img/missing.png">';
+    discoverSnapshotResources(html, {
+      sources: [new FileSource([rootDir]),
+          new HttpSource('http://localhost:4200/')],
+      knownUrls: new Set(),
+    }).then((discovered) => {
+      expect(server.isDone()).toBe(true);
+      expect(discovered.resources.map((resource) => resource.resourceUrl))
+          .toEqual(['/main.css', '/img/bg.png', '/fonts/icons.woff']);
+      expect(discovered.resources[0].mimetype).toBe('text/css');
+      expect(discovered.resources[2].localPath)
+          .toBe(path.join(rootDir, 'fonts', 'icons.woff'));
+      expect(discovered.unresolved).toEqual(['/img/missing.png']);
+      done();
+    });
+  });
+
+  it('should not read files outside of the root directories', (done) => {
+    const secret = path.join(path.dirname(rootDir), 'percy-secret.txt');
+    fs.writeFileSync(secret, 'secret');
+    const html = '<img src="/%2e%2e/percy-secret.txt">' +
+        '<img src="/img/%2E%2E/%2e%2e/percy-secret.txt">' +
+        '<img src="/img/a%2Fb.png">';
+    const source = new FileSource([rootDir]);
+    Promise.all([
+      discoverSnapshotResources(
+          html, {sources: [source], knownUrls: new Set()}),
+      source.fetch('/../percy-secret.txt'),
+    ]).then((results) => {
+      fs.unlinkSync(secret);
+      expect(results[0].resources).toEqual([]);
+      expect(results[0].unresolved).toEqual(['/img/a%2Fb.png']);
+      expect(results[1]).toBe(null);
+      done();
+    });
+  });
+
+  it('should not read files larger than the maximum file size', (done) => {
+    writeFile('video.mp4', 'a large video');
+    const video = path.join(rootDir, 'video.mp4');
+    spyOn(fs, 'readFileSync').and.callThrough();
+    const html = '<video src="/video.mp4"></video>' +
+        '<img src="/fonts/icons.woff">';
+    discoverSnapshotResources(html, {
+      sources: [new FileSource([rootDir], {maxFileSize: 10})],
+      knownUrls: new Set(),
+      maxFileSize: 10,
+    }).then((discovered) => {
+      expect(discovered.resources.map((resource) => resource.resourceUrl))
+          .toEqual(['/fonts/icons.woff']);
+      expect(discovered.tooLarge).toEqual(['/video.mp4']);
+      expect(fs.readFileSync).not.toHaveBeenCalledWith(video);
+      done();
+    });
+  });
+
+  it('should only read known stylesheets, and only once', (done) => {
+    const source = new FileSource([rootDir]);
+    spyOn(source, 'fetch').and.callThrough();
+    const cache = new Map();
+    const options = {
+      sources: [source],
+      knownUrls: new Set(['/css/theme.css', '/fonts/icons.woff']),
+      cssReferenceCache: cache,
+    };
+    const html = '<link rel="stylesheet" href="/css/theme.css">' +
+        '<img src="/fonts/icons.woff">';
+    discoverSnapshotResources(html, options)
+        .then(() => discoverSnapshotResources(html, options))
+        .then((discovered) => {
+          expect(discovered.unresolved).toEqual(['/img/missing.png']);
+          expect(source.fetch.calls.allArgs()).toEqual([
+            ['/css/theme.css'], ['/img/missing.png'], ['/img/missing.png'],
+          ]);
+          expect(cache.get('/css/theme.css')).toEqual(['/img/missing.png']);
+          done();
+        });
+  });
+});
+
+
+describe('HttpSource', function() {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should request every url only once', (done) => {
+    const server = nock('http://localhost:4200')
+        .get('/app/logo.png')
+        .once()
+        .reply(200, 'png');
+    const source = new HttpSource('http://localhost:4200/app');
+    Promise.all([source.fetch('/logo.png'), source.fetch('/logo.png')])
+        .then((assets) => {
+          expect(server.isDone()).toBe(true);
+          expect(assets[0].content.toString()).toBe('png');
+          expect(assets[1]).toBe(assets[0]);
+          done();
+        });
+  });
+
+  it('should treat unreachable servers as missing assets', (done) => {
+    nock('http://localhost:4200')
+        .get('/logo.png')
+        .replyWithError({code: 'ECONNREFUSED'});
+    new HttpSource('http://localhost:4200').fetch('/logo.png')
+        .then((asset) => {
+          expect(asset).toBe(null);
+          done();
+        });
+  });
+
+  it('should only accept http urls', () => {
+    expect(() => new HttpSource('localhost:4200')).toThrowError(TypeError);
+  });
+});
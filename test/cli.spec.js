@@ -0,0 +1,147 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the command line interface against the mock percy server.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {main, parseArgs} = require(path.join(__dirname, '..', 'src', 'cli'));
+const {createMockServer} = require(path.join(__dirname, '..', 'testing'));
+
+
+describe('percy-node command line', function() {
+  let server;
+  let clientOptions;
+
+  beforeEach(function(done) {
+    server = createMockServer({token: 'token'});
+    server.start().then((apiUrl) => {
+      clientOptions = {
+        token: 'token',
+        project: 'foo/bar',
+        apiUrl: apiUrl,
+        proxy: false,
+        retry: {attempts: 1},
+        logger: jasmine.createSpyObj('logger', ['log', 'error', 'warn']),
+      };
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    server.stop().then(done);
+  });
+
+  it('should parse commands and options', () => {
+    expect(parseArgs(['snapshot', 'dist', '--assets', 'dist/a/**',
+      '--assets=dist/b/**', '--root-dir', 'dist', '--enable-javascript']))
+        .toEqual({
+          command: 'snapshot',
+          args: ['dist'],
+          options: {
+            assets: ['dist/a/**', 'dist/b/**'],
+            rootDir: 'dist',
+            enableJavascript: true,
+          },
+        });
+    expect(() => parseArgs(['status', '--nope'])).toThrowError(
+        'Unknown option --nope.');
+    expect(() => parseArgs(['status', '--timeout'])).toThrowError(
+        '--timeout needs a value.');
+  });
+
+  it('should snapshot every html file in the directory', (done) => {
+    main(['snapshot', 'test/mock-project', '--breakpoints',
+      'small=320,large=1440', '--get-diffs', '--timeout', '1000'],
+    clientOptions).then((exitCode) => {
+      expect(exitCode).toBe(0);
+      const build = server.builds[0];
+      expect(build.resources.map((resource) => resource.resourceUrl))
+          .toContain('/assets/styles.css');
+      expect(build.snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['page.html']);
+      expect(build.snapshots[0].widths).toEqual([320, 1440]);
+      expect(build.finalized).toBe(true);
+      expect(server.requestsFor('getBuild').length).toBe(1);
+      done();
+    });
+  });
+
+  it('should finalize the build when a snapshot fails', (done) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-cli-'));
+    fs.writeFileSync(path.join(dir, 'a.html'), '<h1>A</h1>');
+    fs.writeFileSync(path.join(dir, 'b.html'), '');
+    fs.writeFileSync(path.join(dir, 'c.html'), '<h1>C</h1>');
+    main(['snapshot', dir], clientOptions).then((exitCode) => {
+      expect(exitCode).toBe(2);
+      const build = server.builds[0];
+      expect(build.snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['a.html', 'c.html']);
+      expect(build.finalized).toBe(true);
+      expect(clientOptions.logger.error).toHaveBeenCalledWith(
+          '[percy][ERROR] Snapshot "b.html" has no html content.');
+      done();
+    });
+  });
+
+  it('should finalize and check a build that was left open', (done) => {
+    server.configure({totalSnapshotsUnreviewed: 1});
+    main(['snapshot', 'test/mock-project', '--no-finalize'], clientOptions)
+        .then((exitCode) => {
+          expect(exitCode).toBe(0);
+          expect(server.builds[0].finalized).toBe(false);
+          return main(['finalize', server.builds[0].id], clientOptions);
+        }).then((exitCode) => {
+          expect(exitCode).toBe(0);
+          expect(server.builds[0].finalized).toBe(true);
+          expect(server.requestsFor('getBuild').length).toBe(0);
+          return main(['status', server.builds[0].id], clientOptions);
+        }).then((exitCode) => {
+          expect(exitCode).toBe(2);
+          expect(clientOptions.logger.error).toHaveBeenCalledWith(
+              jasmine.stringMatching(/unreviewed/));
+          done();
+        });
+  });
+
+  it('should not check or finalize builds without a token', (done) => {
+    const envToken = process.env.PERCY_TOKEN;
+    delete process.env.PERCY_TOKEN;
+    delete clientOptions.token;
+    Promise.all([
+      main(['status', '123'], clientOptions),
+      main(['finalize', '123'], clientOptions),
+    ]).then((exitCodes) => {
+      if (envToken !== undefined) {
+        process.env.PERCY_TOKEN = envToken;
+      }
+      expect(exitCodes).toEqual([1, 1]);
+      expect(clientOptions.logger.error).toHaveBeenCalledWith(
+          jasmine.stringMatching(/PERCY_TOKEN is not set/));
+      expect(server.requests).toEqual([]);
+      expect(fs.existsSync('percy-dry-run')).toBe(false);
+      done();
+    });
+  });
+
+  it('should reject invalid arguments before creating a build', (done) => {
+    Promise.all([
+      main(['snapshot'], clientOptions),
+      main(['status', '1', '--assets', 'dist/**'], clientOptions),
+      main(['snapshot', 'test/mock-project', '--breakpoints', 'small'],
+          clientOptions),
+    ]).then((exitCodes) => {
+      expect(exitCodes).toEqual([1, 1, 1]);
+      expect(clientOptions.logger.error.calls.argsFor(1)[0]).toContain(
+          '"percy-node status" does not take --assets.');
+      expect(server.requests).toEqual([]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the setup options and loading them from a config file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {resolveSetupOptions} = require(
+    path.join(__dirname, '..', 'src', 'config'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+
+describe('resolveSetupOptions', function() {
+  let dir;
+  let envProject;
+
+  /**
+   * @param {string} file
+   * @param {string} content
+   */
+  function writeFile(file, content) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-config-'));
+    envProject = process.env.PERCY_PROJECT;
+    delete process.env.PERCY_PROJECT;
+  });
+
+  afterEach(() => {
+    if (envProject === undefined) {
+      delete process.env.PERCY_PROJECT;
+    } else {
+      process.env.PERCY_PROJECT = envProject;
+    }
+  });
+
+  it('should resolve the root directories against the working directory',
+      () => {
+    expect(resolveSetupOptions({rootDirs: ['dist']}, {}, dir))
+        .toEqual({rootDirs: [path.join(dir, 'dist')]});
+    // Without root directories, the client uses the working directory for
+    // build files only.
+    expect(resolveSetupOptions({assets: ['a/**']}, {}, dir))
+        .toEqual({assets: ['a/**']});
+  });
+
+  it('should load a json config file', () => {
+    writeFile('.percy-node.json', JSON.stringify({
+      assets: ['dist/**'],
+      breakpoints: {small: 320},
+      project: 'foo/file',
+      maxFileSize: 1000,
+    }));
+    const options = resolveSetupOptions(
+        {breakpoints: {large: 1440}}, {maxFileSize: 2000}, dir);
+    expect(options.assets).toEqual(['dist/**']);
+    expect(options.breakpoints).toEqual({large: 1440});
+    expect(options.project).toBe('foo/file');
+    expect(options.maxFileSize).toBe(2000);
+  });
+
+  it('should load a js config file', () => {
+    writeFile('percy-node.config.js',
+        'module.exports = {ignore: ["**/*.map"], uploadConcurrency: 4, ' +
+        'exitOnFailure: true};');
+    const options = resolveSetupOptions({}, {}, dir);
+    expect(options.ignore).toEqual(['**/*.map']);
+    expect(options.uploadConcurrency).toBe(4);
+    expect(options.exitOnFailure).toBe(true);
+  });
+
+  it('should let environment variables override the config file', () => {
+    writeFile('custom.json', JSON.stringify({project: 'foo/file'}));
+    process.env.PERCY_PROJECT = 'foo/env';
+    const options = resolveSetupOptions({configFile: 'custom.json'}, {}, dir);
+    expect(options.project).toBeUndefined();
+    expect(options.configFile).toBeUndefined();
+  });
+
+  it('should not load a config file when disabled', () => {
+    writeFile('.percy-node.json', '{"project": "foo/file"}');
+    expect(resolveSetupOptions({configFile: false}, {}, dir).project)
+        .toBeUndefined();
+  });
+
+  it('should reject invalid options', () => {
+    writeFile('.percy-node.json', '{"breakpoints": {"small": "320px"}}');
+    writeFile('broken.json', '{');
+    expect(() => resolveSetupOptions({}, {}, dir)).toThrowError(
+        percyNodeClient.PercyConfigError,
+        'Invalid percy-node option "breakpoints" in ' +
+        `${path.join(dir, '.percy-node.json')}: expected an object of ` +
+        'widths in pixels by breakpoint name, got {"small":"320px"}');
+    expect(() => resolveSetupOptions({asset: ['a/**']}, {}, dir))
+        .toThrowError(percyNodeClient.PercyConfigError,
+            /^Unknown percy-node option "asset" in setup\(\)/);
+    expect(() => resolveSetupOptions({configFile: 'broken.json'}, {}, dir))
+        .toThrowError(percyNodeClient.PercyConfigError,
+            /^Could not load the percy-node config file/);
+    expect(() => resolveSetupOptions({apiUrl: 'percy.io'}, {}, dir))
+        .toThrowError(percyNodeClient.PercyConfigError);
+  });
+});
+
+
+describe('PercyNodeClient setup options', function() {
+  it('should take an options object', (done) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-config-'));
+    const configFile = path.join(dir, 'percy.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      breakpoints: {small: 320, large: 1440},
+      duplicateSnapshots: 'suffix',
+    }));
+    const backend = new FakeBackend();
+    spyOn(backend, 'createBuild').and.callThrough();
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+    });
+    client.setup({
+      assets: ['test/mock-project/assets/**'],
+      rootDirs: ['test/mock-project'],
+      project: 'foo/options',
+      configFile: configFile,
+    }).then(() => {
+      client.snapshot('home', '<h1>Home</h1>');
+      return client.snapshot('home', '<h1>Home</h1>');
+    }).then((snapshot) => {
+      const build = backend.createBuild.calls.argsFor(0)[0];
+      expect(build.project).toBe('foo/options');
+      expect(build.breakpoints).toEqual({small: 320, large: 1440});
+      expect(build.resources.map((resource) => resource.resourceUrl))
+          .toContain('/assets/styles.css');
+      expect(snapshot).toEqual(
+          {snapshotId: 'snapshot2', name: 'home (2)', widths: [320, 1440]});
+      done();
+    });
+  });
+
+  it('should reject invalid options', (done) => {
+    const client = new percyNodeClient.PercyNodeClient({backend: {}});
+    client.setup({assets: 'dist/**'}).catch((error) => {
+      expect(error instanceof percyNodeClient.PercyConfigError).toBe(true);
+      done();
+    });
+  });
+
+  it('should send builds to the api url', () => {
+    const backend = new percyNodeClient.PercyBackend(
+        {token: 'token', apiUrl: 'http://localhost:5338/api/v1'});
+    expect(backend.percyClient.apiUrl).toBe('http://localhost:5338/api/v1');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * @fileoverview An in memory backend for the specs that don't test the percy
+ * api. Specs can replace or spy on its methods.
+ */
+
+const path = require('path');
+const {Backend} = require(path.join(__dirname, '..', '..', 'src',
+    'percy-node-client'));
+
+
+/**
+ * Records the snapshots it is sent and reports no missing resources.
+ */
+class FakeBackend extends Backend {
+  /**
+   * @param {!Object=} opt_build The build getBuild() resolves with, by default
+   *     finished once there are snapshots.
+   */
+  constructor(opt_build) {
+    super();
+    /** @type {!Array<!Object>} */
+    this.snapshots = [];
+    /** @private {!Object|undefined} */
+    this.build_ = opt_build;
+  }
+
+  /** @override */
+  async createBuild(build) {
+    return {id: 'build', webUrl: 'fake', missingResources: []};
+  }
+
+  /** @override */
+  async uploadResource(buildId, resource) {}
+
+  /** @override */
+  async createSnapshot(buildId, snapshot) {
+    this.snapshots.push(snapshot);
+    return {id: `snapshot${this.snapshots.length}`, missingResources: []};
+  }
+
+  /** @override */
+  async finalizeSnapshot(snapshotId) {}
+
+  /** @override */
+  async finalizeBuild(buildId) {}
+
+  /** @override */
+  async getBuild(buildId) {
+    return this.build_ || {
+      state: this.snapshots.length ? 'finished' : 'processing',
+      webUrl: 'fake',
+      totalSnapshotsUnreviewed: 0,
+    };
+  }
+
+  /** @override */
+  async getBuildSnapshots(buildId) {
+    return [];
+  }
+}
+
+
+module.exports = {FakeBackend};
@@ -0,0 +1,136 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the proxy, timeout and certificate options of the api requests.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {requestOptionsFor} = require(
+    path.join(__dirname, '..', 'src', 'http-options'));
+const {parseRetryOptions} = require(
+    path.join(__dirname, '..', 'src', 'retry'));
+
+
+describe('requestOptionsFor', function() {
+  const PROXY_VARIABLES = [
+    'HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY',
+    'no_proxy',
+  ];
+  let env;
+
+  beforeEach(function() {
+    env = {};
+    PROXY_VARIABLES.forEach((name) => {
+      env[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    PROXY_VARIABLES.forEach((name) => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+  });
+
+  it('should use the proxy from the environment', () => {
+    process.env.HTTPS_PROXY = 'http://proxy.corp:3128';
+    process.env.HTTP_PROXY = 'http://http-proxy.corp:3128';
+    expect(requestOptionsFor('https://percy.io/api/v1', {}))
+        .toEqual({proxy: 'http://proxy.corp:3128'});
+    expect(requestOptionsFor('http://localhost:5338/api/v1', {}).proxy)
+        .toBe('http://http-proxy.corp:3128');
+    expect(requestOptionsFor('https://percy.io/api/v1', {proxy: false}).proxy)
+        .toBe(null);
+  });
+
+  it('should not use a proxy for NO_PROXY hosts', () => {
+    process.env.NO_PROXY = 'localhost:5338, .corp.example.com';
+    const options = {proxy: 'http://proxy.corp:3128'};
+    expect(requestOptionsFor('http://localhost:5338/api/v1', options).proxy)
+        .toBe(null);
+    expect(requestOptionsFor('http://localhost:80/api/v1', options).proxy)
+        .toBe('http://proxy.corp:3128');
+    expect(requestOptionsFor('https://percy.corp.example.com', options).proxy)
+        .toBe(null);
+    expect(requestOptionsFor('https://corp.example.com', options).proxy)
+        .toBe('http://proxy.corp:3128');
+    process.env.NO_PROXY = '*';
+    expect(requestOptionsFor('https://percy.io', options).proxy).toBe(null);
+  });
+
+  it('should read certificates from a file', () => {
+    const caFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'percy-ca-')), 'ca.pem');
+    fs.writeFileSync(caFile, 'certificate');
+    const options = requestOptionsFor('https://percy.io/api/v1',
+        {caFile: caFile, requestTimeout: 5000});
+    expect(options.ca.toString()).toBe('certificate');
+    expect(options.timeout).toBe(5000);
+  });
+});
+
+
+describe('PercyBackend requests', function() {
+  let server;
+  let requests;
+  let respond;
+
+  beforeEach(function(done) {
+    requests = [];
+    respond = true;
+    server = http.createServer((request, response) => {
+      requests.push(request.url);
+      if (respond) {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify({data: {id: '123', attributes: {}}}));
+      }
+    }).listen(0, 'localhost', done);
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  it('should go through the proxy', (done) => {
+    const backend = new percyNodeClient.PercyBackend({
+      token: 'token',
+      apiUrl: 'http://percy.test/api/v1',
+      proxy: `http://localhost:${server.address().port}`,
+    });
+    backend.percyClient.getBuild('123').then((response) => {
+      expect(requests).toEqual(['http://percy.test/api/v1/builds/123']);
+      expect(response.body.data.id).toBe('123');
+      done();
+    });
+  });
+
+  it('should give up on slow responses', (done) => {
+    respond = false;
+    const backend = new percyNodeClient.PercyBackend({
+      token: 'token',
+      apiUrl: `http://localhost:${server.address().port}/api/v1`,
+      proxy: false,
+      requestTimeout: 50,
+      retryOptions: parseRetryOptions({attempts: 1}),
+      logger: jasmine.createSpyObj('logger', ['log']),
+    });
+    backend.finalizeBuild('123').catch((error) => {
+      expect(error instanceof percyNodeClient.PercyApiError).toBe(true);
+      expect(error.message).toMatch(/TIMEDOUT/);
+      done();
+    });
+  });
+});
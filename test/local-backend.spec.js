@@ -0,0 +1,164 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the local backend through PercyNodeClient.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+
+
+describe('LocalBackend', function() {
+  const BUILD_DIRS = ['test/mock-project/assets/**'];
+  const PATHS_TO_REPLACE = [process.cwd() + '/test/mock-project'];
+  const BREAKPOINT_CONFIG = {small: 320, large: 1440};
+  let dir;
+  let logger;
+
+  /**
+   * Runs a full build against the local backend.
+   * @param {!Array<{name: string, content: string, breakpoints: ?Array}>}
+   *     snapshots
+   * @param {Object=} opt_backendOptions
+   * @param {string=} opt_projectDir The directory with the build resources,
+   *     instead of the mock project.
+   * @return {!Promise<!Object>} The build result, or the error the build
+   *     rejected with.
+   */
+  function runBuild(snapshots, opt_backendOptions, opt_projectDir) {
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: 'local',
+      backendOptions: Object.assign({dir: dir}, opt_backendOptions),
+      logger: logger,
+    });
+    const buildDirs = opt_projectDir ?
+        [path.join(opt_projectDir, 'assets', '**')] : BUILD_DIRS;
+    const pathsToReplace = opt_projectDir ? [opt_projectDir] : PATHS_TO_REPLACE;
+    return client.setup(buildDirs, pathsToReplace, BREAKPOINT_CONFIG)
+        .then(() => {
+          snapshots.forEach((snapshot) => {
+            client.snapshot(
+                snapshot.name, snapshot.content, snapshot.breakpoints);
+          });
+          return client.finalizeBuild({getDiffs: true, pollInterval: 0});
+        })
+        .catch((error) => error);
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-local-'));
+    logger = jasmine.createSpyObj('logger', ['log', 'error']);
+  });
+
+  it('should make the first build the baseline', (done) => {
+    runBuild([{name: 'home', content: '<h1>Home</h1>'}]).then((result) => {
+      expect(result.state).toBe('finished');
+      expect(result.totalSnapshots).toBe(1);
+      expect(result.totalComparisons).toBe(2);
+      expect(result.totalSnapshotsUnreviewed).toBe(0);
+      expect(result.snapshots).toEqual([{name: 'home', reviewState: 'approved'}]);
+      const baseline = JSON.parse(
+          fs.readFileSync(path.join(dir, 'baseline.json'), 'utf8'));
+      expect(baseline.buildId).toBe(result.buildId);
+      expect(fs.existsSync(path.join(result.webUrl, 'build.json'))).toBe(true);
+      done();
+    });
+  });
+
+  it('should store resources by their hash', (done) => {
+    runBuild([{name: 'home', content: '<h1>Home</h1>'}]).then(() => {
+      const stored = fs.readdirSync(path.join(dir, 'resources'));
+      // The stylesheet and the snapshot html.
+      expect(stored.length).toBe(2);
+      done();
+    });
+  });
+
+  it('should report added, removed and changed snapshots', (done) => {
+    runBuild([
+      {name: 'home', content: '<h1>Home</h1>'},
+      {name: 'about', content: '<h1>About</h1>'},
+      {name: 'contact', content: '<h1>Contact</h1>', breakpoints: ['small']},
+    ]).then(() => {
+      return runBuild([
+        {name: 'home', content: '<h1>Home</h1>'},
+        {name: 'about', content: '<h1>About us</h1>'},
+        {name: 'contact', content: '<h1>Contact</h1>', breakpoints: ['large']},
+        {name: 'blog', content: '<h1>Blog</h1>', breakpoints: ['small']},
+      ]);
+    }).then((error) => {
+      expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+          .toBe(true);
+      const result = error.result;
+      expect(result.changes).toEqual({
+        added: [{name: 'contact', width: 1440}, {name: 'blog', width: 320}],
+        removed: [{name: 'contact', width: 320}],
+        changed: [{name: 'about', width: 320}, {name: 'about', width: 1440}],
+      });
+      expect(result.totalSnapshotsUnreviewed).toBe(3);
+      expect(result.totalComparisonsDiff).toBe(4);
+      expect(result.snapshots).toEqual([
+        {name: 'home', reviewState: 'approved'},
+        {name: 'about', reviewState: 'unreviewed'},
+        {name: 'contact', reviewState: 'unreviewed'},
+        {name: 'blog', reviewState: 'unreviewed'},
+      ]);
+      done();
+    });
+  });
+
+  it('should only compare the build resources a snapshot refers to',
+      (done) => {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-app-'));
+    fs.mkdirSync(path.join(projectDir, 'assets'));
+    const writeAsset = (file, content) => {
+      fs.writeFileSync(path.join(projectDir, 'assets', file), content);
+    };
+    writeAsset('home.css', 'h1 { background: url(logo.png); }');
+    writeAsset('logo.png', 'png');
+    writeAsset('about.css', 'h1 { color: red; }');
+    const stylesheet = (href) => `<link rel="stylesheet" href="${href}">`;
+    const snapshots = [
+      {name: 'home', content: stylesheet('/assets/home.css')},
+      {name: 'about', content: stylesheet('assets/about.css')},
+      {name: 'contact', content: '<h1>Contact</h1>'},
+    ];
+    runBuild(snapshots, {}, projectDir).then(() => {
+      writeAsset('logo.png', 'new png');
+      return runBuild(snapshots, {}, projectDir);
+    }).then((error) => {
+      expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+          .toBe(true);
+      expect(error.result.changes).toEqual({
+        added: [],
+        removed: [],
+        changed: [{name: 'home', width: 320}, {name: 'home', width: 1440}],
+      });
+      done();
+    });
+  });
+
+  it('should replace the baseline when updateBaseline is set', (done) => {
+    let firstBuildId;
+    runBuild([{name: 'home', content: '<h1>Home</h1>'}]).then((result) => {
+      firstBuildId = result.buildId;
+      return runBuild([{name: 'home', content: '<h1>Home!</h1>'}],
+          {updateBaseline: true});
+    }).then((result) => {
+      expect(result.changes.changed.length).toBe(2);
+      expect(result.totalSnapshotsUnreviewed).toBe(0);
+      const baseline = JSON.parse(
+          fs.readFileSync(path.join(dir, 'baseline.json'), 'utf8'));
+      expect(baseline.buildId).not.toBe(firstBuildId);
+      expect(baseline.buildId).toBe(result.buildId);
+      done();
+    });
+  });
+});
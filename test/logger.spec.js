@@ -0,0 +1,132 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the leveled logger and how the client logs through it.
+ */
+
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+const {Logger, toLeveledLogger} = require(
+    path.join(__dirname, '..', 'src', 'logger'));
+
+
+describe('Logger', function() {
+  let lines;
+  let stream;
+
+  beforeEach(function() {
+    lines = [];
+    stream = {write: (line) => lines.push(line)};
+    spyOn(console, 'log');
+    spyOn(console, 'warn');
+    spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    delete process.env.PERCY_LOG_LEVEL;
+  });
+
+  it('should only log messages at or above the level', () => {
+    const logger = new Logger({level: 'warn'});
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('[percy][WARNING] warn');
+    logger.error('error');
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('[percy][WARNING] warn');
+    expect(console.error).toHaveBeenCalledWith('error');
+  });
+
+  it('should read the level from the environment', () => {
+    const logger = new Logger();
+    logger.debug('hidden');
+    process.env.PERCY_LOG_LEVEL = 'DEBUG';
+    logger.debug('shown');
+    expect(console.log.calls.allArgs()).toEqual([['shown']]);
+    expect(() => new Logger({level: 'verbose'})).toThrowError(TypeError);
+  });
+
+  it('should write json lines', () => {
+    const logger = new Logger({format: 'json', stream: stream});
+    logger.log('\n[percy] Build created:', 'https://percy.io/builds/1');
+    logger.warn('[percy][WARNING] Skipping', 3);
+    logger.event('snapshot:failed', {
+      name: 'home',
+      error: new percyNodeClient.PercySnapshotError('Invalid.', 'home'),
+    });
+    const entries = lines.map((line) => JSON.parse(line));
+    expect(lines.every((line) => /\n$/.test(line))).toBe(true);
+    expect(entries[0].level).toBe('info');
+    expect(entries[0].message).toBe('Build created: https://percy.io/builds/1');
+    expect(entries[0].time).toMatch(/^\d{4}-\d\d-\d\dT/);
+    expect(entries[1].message).toBe('Skipping 3');
+    expect(entries[2].event).toBe('snapshot:failed');
+    expect(entries[2].data.error).toEqual({
+      name: 'PercySnapshotError',
+      message: 'Invalid.',
+      snapshotName: 'home',
+    });
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it('should fill in the levels a logger does not implement', () => {
+    const userLogger = jasmine.createSpyObj('logger', ['log', 'error']);
+    const logger = toLeveledLogger(userLogger, new Logger({level: 'debug'}));
+    logger.info('info');
+    logger.warn('warn');
+    logger.debug('debug');
+    expect(userLogger.log).toHaveBeenCalledWith('info');
+    expect(console.warn).toHaveBeenCalledWith('warn');
+    expect(console.log).toHaveBeenCalledWith('debug');
+
+    const complete = new Logger();
+    expect(toLeveledLogger(complete, new Logger())).toBe(complete);
+  });
+});
+
+
+describe('PercyNodeClient logging', function() {
+  it('should log warnings and events through the client logger', (done) => {
+    const lines = [];
+    const logger = new Logger(
+        {format: 'json', stream: {write: (line) => lines.push(line)}});
+    const client = new percyNodeClient.PercyNodeClient({
+      project: 'foo/bar',
+      backend: new FakeBackend(),
+      logger: logger,
+    });
+    client.setup([], [], {small: 320}).then(() => {
+      client.snapshot('home', '<h1>Home</h1>');
+      return client.snapshot('home', '<h1>Home</h1>');
+    }).then(() => client.snapshotPromises_[0]).then(() => {
+      const entries = lines.map((line) => JSON.parse(line));
+      expect(entries.map((entry) => entry.event || entry.message)).toEqual([
+        'Setting up project "foo/bar"',
+        'Build created: fake',
+        'build:created',
+        'Duplicate snapshot name, skipping snapshot: home',
+        'snapshot:created',
+        'snapshot:finalized',
+      ]);
+      expect(entries[3].level).toBe('warn');
+      done();
+    });
+  });
+
+  it('should create a logger from the log options', () => {
+    const client = new percyNodeClient.PercyNodeClient(
+        {logLevel: 'error', logFormat: 'json'});
+    expect(client.logger instanceof Logger).toBe(true);
+    expect(client.logger.level).toBe('error');
+    expect(client.logger.format).toBe('json');
+    expect(new percyNodeClient.PercyNodeClient().logger)
+        .toBe(percyNodeClient.logger);
+  });
+});
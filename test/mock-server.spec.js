@@ -0,0 +1,140 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the mock percy server by sending builds to it with the percy backend.
+ */
+
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {createMockServer} = require(path.join(__dirname, '..', 'testing'));
+
+
+describe('MockPercyServer', function() {
+  let server;
+  let client;
+
+  beforeEach(function(done) {
+    server = createMockServer({token: 'token'});
+    server.start().then((apiUrl) => {
+      client = new percyNodeClient.PercyNodeClient({
+        token: 'token',
+        project: 'foo/bar',
+        apiUrl: apiUrl,
+        proxy: false,
+        retry: {attempts: 1},
+        logger: jasmine.createSpyObj('logger', ['log', 'error', 'warn']),
+      });
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    server.stop().then(done);
+  });
+
+  /**
+   * Sets up a build with the mock project assets and snapshots a button.
+   * @return {!Promise}
+   */
+  function snapshotButton() {
+    return client.setup({
+      assets: ['test/mock-project/assets/**'],
+      rootDirs: ['test/mock-project'],
+      breakpoints: {small: 600, large: 1440},
+      configFile: false,
+    }).then(() => client.snapshot('buttons', '<button>Red</button>'));
+  }
+
+  it('should record the build', (done) => {
+    server.configure({buildStates: ['processing', 'finished']});
+    snapshotButton().then(() => client.finalizeBuild(
+        {getDiffs: true, pollInterval: 1})).then((result) => {
+      expect(result.state).toBe('finished');
+      expect(result.totalComparisons).toBe(2);
+      expect(result.snapshots)
+          .toEqual([{name: 'buttons', reviewState: 'approved'}]);
+      expect(server.requestsFor('getBuild').length).toBe(2);
+
+      expect(server.builds.length).toBe(1);
+      const build = server.builds[0];
+      expect(build.project).toBe('foo/bar');
+      expect(build.resources.map((resource) => resource.resourceUrl))
+          .toContain('/assets/styles.css');
+      expect(build.missingResources.length).toBe(build.resources.length);
+      expect(build.uploadedResources.sort())
+          .toEqual(build.missingResources.concat(
+              build.snapshots[0].missingResources).sort());
+      expect(build.snapshots[0].name).toBe('buttons');
+      expect(build.snapshots[0].widths).toEqual([600, 1440]);
+      expect(build.snapshots[0].finalized).toBe(true);
+      expect(build.finalized).toBe(true);
+      done();
+    });
+  });
+
+  it('should not report cached resources missing', (done) => {
+    snapshotButton().then(() => {
+      const shas = server.builds[0].uploadedResources;
+      server.reset();
+      server.configure({cachedResources: shas});
+      return snapshotButton();
+    }).then(() => {
+      expect(server.builds[0].missingResources).toEqual([]);
+      expect(server.requestsFor('uploadResource').length).toBe(0);
+      done();
+    });
+  });
+
+  it('should respond with unreviewed diffs', (done) => {
+    server.configure({totalSnapshotsUnreviewed: 1});
+    snapshotButton().then(() => client.finalizeBuild(true)).catch((error) => {
+      expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+          .toBe(true);
+      expect(error.result.totalComparisonsDiff).toBe(1);
+      expect(error.result.snapshots[0].reviewState).toBe('unreviewed');
+      done();
+    });
+  });
+
+  it('should respond with failed builds', (done) => {
+    server.configure({buildStates: ['failed'], failureReason: 'no_snapshots'});
+    snapshotButton().then(() => client.finalizeBuild(true)).catch((error) => {
+      expect(error instanceof percyNodeClient.PercyBuildFailedError)
+          .toBe(true);
+      expect(error.result.failureReason).toBe('no_snapshots');
+      done();
+    });
+  });
+
+  it('should fail scripted calls', (done) => {
+    server.failNext('createSnapshot', 400);
+    snapshotButton().then((snapshot) => {
+      // Snapshots that percy rejects as bad requests are skipped.
+      expect(snapshot).toBe(null);
+      expect(server.requestsFor('createSnapshot').length).toBe(1);
+      expect(server.builds[0].snapshots).toEqual([]);
+      return client.snapshot('buttons again', '<button>Red</button>');
+    }).then(() => {
+      expect(server.builds[0].snapshots.length).toBe(1);
+      expect(() => server.failNext('deleteBuild', 500))
+          .toThrowError(TypeError);
+      done();
+    });
+  });
+
+  it('should reject other tokens', (done) => {
+    server.configure({token: 'other token'});
+    snapshotButton().catch((error) => {
+      expect(error.statusCode).toBe(401);
+      expect(server.requests[0].route).toBe('createBuild');
+      expect(server.requests[0].headers['authorization'])
+          .toBe('Token token=token');
+      done();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the Puppeteer and Playwright page snapshots with fake pages, and with
+ * a headless browser against test/mock-project/page.html when puppeteer is
+ * installed. What the page html is serialized with is tested in
+ * serialize-dom.spec.js.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {serializeDom} = require(
+    path.join(__dirname, '..', 'src', 'serialize-dom'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+
+/**
+ * @param {!Array<{resourceUrl: string}>} resources
+ * @return {!Object<string, string>} The content of the resources by url.
+ */
+function contentByUrl(resources) {
+  const contents = {};
+  resources.forEach((resource) => {
+    contents[resource.resourceUrl] = resource.content.toString();
+  });
+  return contents;
+}
+
+
+/**
+ * @return {{client: !PercyNodeClient, backend: !FakeBackend}} A client whose
+ *     backend records the snapshots, set up without build resources.
+ */
+function createClient() {
+  const backend = new FakeBackend();
+  const client = new percyNodeClient.PercyNodeClient({
+    backend: backend,
+    discoverAssets: false,
+    logger: jasmine.createSpyObj('logger', ['log', 'error']),
+  });
+  return {client, backend};
+}
+
+
+describe('PercyNodeClient page snapshots', function() {
+  let client;
+  let backend;
+  let page;
+
+  /**
+   * A Puppeteer or Playwright page, without a browser.
+   */
+  class FakePage extends EventEmitter {
+    /**
+     * @param {string} bodyMethod How responses are read, 'buffer' for
+     *     Puppeteer and 'body' for Playwright.
+     */
+    constructor(bodyMethod) {
+      super();
+      this.bodyMethod = bodyMethod;
+      this.html = '<html><body>Home</body></html>';
+      this.loadedUrls = [];
+      this.serializeOptions = null;
+    }
+
+    /** @return {string} */
+    url() {
+      return 'http://localhost:4200/app/home';
+    }
+
+    /** @return {!Object} */
+    mainFrame() {
+      return this;
+    }
+
+    /**
+     * Starts showing a new document.
+     */
+    navigate() {
+      this.loadedUrls = [];
+      this.emit('framenavigated', this.mainFrame());
+    }
+
+    /**
+     * @param {!Function} pageFunction
+     * @param {*=} opt_arg
+     * @return {!Promise}
+     */
+    evaluate(pageFunction, opt_arg) {
+      if (pageFunction == serializeDom) {
+        this.serializeOptions = opt_arg;
+        return Promise.resolve(this.html);
+      }
+      return Promise.resolve(this.loadedUrls);
+    }
+
+    /**
+     * Emits a response the page received.
+     * @param {string} responseUrl
+     * @param {string} resourceType
+     * @param {string} content
+     * @param {number=} opt_status
+     */
+    respond(responseUrl, resourceType, content, opt_status = 200) {
+      this.loadedUrls.push(responseUrl);
+      const response = {
+        url: () => responseUrl,
+        status: () => opt_status,
+        headers: () => ({'content-type': 'text/css; charset=utf-8'}),
+        request: () => ({resourceType: () => resourceType}),
+      };
+      response[this.bodyMethod] = () => Promise.resolve(Buffer.from(content));
+      this.emit('response', response);
+    }
+  }
+
+  beforeEach(function(done) {
+    ({client, backend} = createClient());
+    page = new FakePage('buffer');
+    client.setup({breakpoints: {small: 320}, configFile: false}).then(done);
+  });
+
+  it('should send the resources the page loaded', (done) => {
+    client.puppeteer.trackPage(page);
+    page.respond('http://localhost:4200/old.css', 'stylesheet', 'old');
+    page.navigate();
+    page.respond('http://localhost:4200/app/main.css?v=2', 'stylesheet', 'a');
+    page.respond('http://localhost:4200/logo.png', 'image', 'logo');
+    page.respond('http://localhost:4200/font.woff2', 'font', 'missing', 404);
+    page.respond('http://localhost:4200/main.js', 'script', 'script');
+    page.respond('https://cdn.example.com/cdn.css', 'stylesheet', 'cdn');
+    client.puppeteer.snapshotPage(page, 'home', {
+      minHeight: 300,
+      resources: [{resourceUrl: '/logo.png', content: 'override'}],
+    }).then((snapshot) => {
+      expect(snapshot.widths).toEqual([320]);
+      const created = backend.snapshots[0];
+      expect(created.minHeight).toBe(300);
+      expect(page.serializeOptions).toEqual({enableJavaScript: undefined});
+      expect(contentByUrl(created.resources)).toEqual({
+        '/': page.html,
+        '/app/main.css?v=2': 'a',
+        '/logo.png': 'override',
+      });
+      expect(created.resources[1].mimetype).toBe('text/css');
+      done();
+    });
+  });
+
+  it('should forget the responses of previous documents', (done) => {
+    client.puppeteer.trackPage(page);
+    page.respond('http://localhost:4200/old.css', 'stylesheet', 'old');
+    page.navigate();
+    page.respond('http://localhost:4200/new.css', 'stylesheet', 'new');
+    // Frames within the page don't replace the document.
+    page.emit('framenavigated', {});
+    page.loadedUrls.push('http://localhost:4200/old.css');
+    client.puppeteer.snapshotPage(page, 'home').then(() => {
+      const created = backend.snapshots[0];
+      expect(contentByUrl(created.resources))
+          .toEqual({'/': page.html, '/new.css': 'new'});
+      done();
+    });
+  });
+
+  it('should read playwright responses', (done) => {
+    page = new FakePage('body');
+    client.playwright.trackPage(page);
+    client.playwright.trackPage(page);
+    page.respond('http://localhost:4200/main.css', 'stylesheet', 'main');
+    client.playwright.snapshotPage(page, 'home', {enableJavaScript: true})
+        .then(() => {
+          expect(page.serializeOptions).toEqual({enableJavaScript: true});
+          const created = backend.snapshots[0];
+          expect(contentByUrl(created.resources))
+              .toEqual({'/': page.html, '/main.css': 'main'});
+          done();
+        });
+  });
+});
+
+
+describe('PercyNodeClient page snapshots in a browser', function() {
+  let puppeteer;
+  let browser;
+  let server;
+  let pageUrl;
+
+  beforeAll(function(done) {
+    try {
+      puppeteer = require('puppeteer');
+    } catch (e) {
+      // puppeteer is not a dependency, as it doesn't support the node
+      // versions percy-node does.
+      done();
+      return;
+    }
+    const root = path.join(__dirname, 'mock-project');
+    server = http.createServer((request, response) => {
+      fs.readFile(path.join(root, request.url), (error, content) => {
+        response.writeHead(error ? 404 : 200, {'Content-Type':
+            request.url.endsWith('.css') ? 'text/css' : 'text/html'});
+        response.end(error ? '' : content);
+      });
+    }).listen(0, 'localhost', () => {
+      pageUrl = `http://localhost:${server.address().port}/page.html`;
+      puppeteer.launch({args: ['--no-sandbox']}).then((launched) => {
+        browser = launched;
+      }).catch(() => {}).then(done);
+    });
+  });
+
+  afterAll(function(done) {
+    if (server) {
+      server.close();
+    }
+    (browser ? browser.close() : Promise.resolve()).then(done);
+  });
+
+  it('should snapshot the live page', (done) => {
+    if (!browser) {
+      pending('Puppeteer is not installed or could not launch a browser.');
+    }
+    const {client, backend} = createClient();
+    let page;
+    client.setup({breakpoints: {small: 320}, configFile: false})
+        .then(() => browser.newPage()).then((newPage) => {
+          page = newPage;
+          client.puppeteer.trackPage(page);
+          return page.goto(pageUrl);
+        })
+        .then(() => page.type('#name', 'Ada'))
+        .then(() => page.click('#agree'))
+        .then(() => client.puppeteer.snapshotPage(page, 'page'))
+        .then(() => {
+          const created = backend.snapshots[0];
+          const resources = contentByUrl(created.resources);
+          expect(resources['/']).toMatch(/^<!DOCTYPE html>/);
+          expect(resources['/']).toContain('<input id="name" value="Ada">');
+          expect(resources['/'])
+              .toContain('<input id="agree" type="checkbox" checked="">');
+          expect(resources['/']).toContain('<fancy-card><template ' +
+              'shadowrootmode="open"><p>Shadow</p></template></fancy-card>');
+          expect(resources['/']).toContain(
+              '<style id="css-in-js">.fancy-title { color: blue; }</style>');
+          expect(resources['/'])
+              .toMatch(/<img id="chart" width="20" height="10" src="data:/);
+          expect(resources['/']).not.toContain('<script');
+          expect(resources['/assets/styles.css']).toContain('.bogus');
+          done();
+        });
+  });
+});
@@ -45,6 +45,7 @@ describe('percyNodeClient', function() {
     FINALIZE_SNAPSHOT: '/api/v1/snapshots/snapshot1/finalize',
     FINALIZE_BUILD: '/api/v1/builds/123/finalize',
     GET_BUILD: '/api/v1/builds/123',
+    GET_BUILD_SNAPSHOTS: '/api/v1/builds/123/snapshots',
   };
 
   const BUTTON_SNAPSHOT = `
@@ -87,7 +88,7 @@ describe('percyNodeClient', function() {
           data: [
             {
               // Hash for buttons.
-              id: 'TODO'
+              id: BUTTONS_HTML_HASH
             },
           ]
         }
@@ -100,13 +101,27 @@ describe('percyNodeClient', function() {
       id: '123', // Unique build id for this build.
       attributes: {
         'state': 'finished',
+        'total-comparisons': 2,
         'total-comparisons-diff': 0,
+        'total-snapshots': 1,
         'total-snapshots-unreviewed': 0,
         'web-url': 'https://percy.io/foo/bar/builds/123',
       }
     }
   };
 
+  const BUILD_SNAPSHOTS_RESPONSE_MOCK = {
+    data: [
+      {
+        id: 'snapshot1',
+        attributes: {
+          'name': 'buttons',
+          'review-state': 'approved',
+        },
+      },
+    ],
+  };
+
   const BUILD_RESULTS_RESPONSE_HAS_DIFF_MOCK = {
     data: {
       id: '123', // Unique build id for this build.
@@ -143,6 +158,10 @@ describe('percyNodeClient', function() {
   };
 
   beforeEach(function() {
+    nockRequests.getBuildSnapshots = nock('https://percy.io')
+        .get(API_URLS.GET_BUILD_SNAPSHOTS)
+        .reply(200, BUILD_SNAPSHOTS_RESPONSE_MOCK);
+
     // Mock process environment variables.
     process.env.PERCY_TOKEN = 'abcxyz';
     process.env.PERCY_PROJECT = 'foo/bar';
@@ -251,6 +270,21 @@ describe('percyNodeClient', function() {
       });
     });
 
+    it('should resolve snapshots once they are finalized', (done) => {
+      setupPromise.then(() => {
+        return percyNodeClient.snapshot('buttons', BUTTON_SNAPSHOT,
+            ['small', 'large']);
+      }).then((snapshot) => {
+        expect(nockRequests.finalizeSnapshot.isDone()).toBe(true);
+        expect(snapshot).toEqual({
+          snapshotId: 'snapshot1',
+          name: 'buttons',
+          widths: [600, 1440],
+        });
+        done();
+      });
+    });
+
     it('should finalize the build', (done) => {
       setupPromise.then(() => {
         percyNodeClient.snapshot('buttons', BUTTON_SNAPSHOT,
@@ -278,10 +312,23 @@ describe('percyNodeClient', function() {
           .get(API_URLS.GET_BUILD)
           .reply(201, BUILD_RESULTS_RESPONSE_NO_DIFF_MOCK);
       setupPromise.then(() => {
-        percyNodeClient.finalizeBuild(true).then(() => {
+        percyNodeClient.finalizeBuild(true).then((result) => {
           expect(nockRequests.getBuild.isDone()).toBe(true);
+          expect(nockRequests.getBuildSnapshots.isDone()).toBe(true);
           expect(percyNodeClient.logger.log.calls.argsFor(5)[0])
               .toBe('Hooray! The build is successful with no unreviewed diffs. \\o/');
+          expect(result).toEqual({
+            buildId: '123',
+            webUrl: 'https://percy.io/foo/bar/builds/123',
+            state: 'finished',
+            failureReason: null,
+            totalSnapshots: 1,
+            totalSnapshotsUnreviewed: 0,
+            totalComparisons: 2,
+            totalComparisonsDiff: 0,
+            snapshots: [{name: 'buttons', reviewState: 'approved'}],
+            changes: null,
+          });
           done();
         });
       });
@@ -292,11 +339,18 @@ describe('percyNodeClient', function() {
           .get(API_URLS.GET_BUILD)
           .reply(201, BUILD_RESULTS_RESPONSE_HAS_DIFF_MOCK);
       setupPromise.then(() => {
-        percyNodeClient.finalizeBuild(true).then(() => {
+        percyNodeClient.finalizeBuild(true).catch((error) => {
           expect(nockRequests.getBuild.isDone()).toBe(true);
-          expect(percyNodeClient.logger.error.calls.argsFor(0).join(' '))
-              .toBe('percy unreviewed diffs found: 3. Check https://percy.io/foo/bar/builds/123');
-          expect(process.exit).toHaveBeenCalled();
+          expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+              .toBe(true);
+          expect(error.message)
+              .toBe('unreviewed diffs found: 3. Check https://percy.io/foo/bar/builds/123');
+          expect(error.totalUnreviewed).toBe(3);
+          expect(error.webUrl).toBe('https://percy.io/foo/bar/builds/123');
+          expect(error.result.state).toBe('finished');
+          expect(error.result.totalComparisonsDiff).toBe(5);
+          expect(error.result.snapshots.length).toBe(1);
+          expect(process.exit).not.toHaveBeenCalled();
           done();
         });
       });
@@ -321,14 +375,437 @@ describe('percyNodeClient', function() {
           .get(API_URLS.GET_BUILD)
           .reply(201, BUILD_RESULTS_RESPONSE_FAILED_MOCK);
       setupPromise.then(() => {
-        percyNodeClient.finalizeBuild(true).then(() => {
+        percyNodeClient.finalizeBuild(true).catch((error) => {
           expect(nockRequests.getBuild.isDone()).toBe(true);
-          expect(percyNodeClient.logger.error.calls.argsFor(0).join(' '))
-              .toBe('percy build failed: missing_resources');
-          expect(process.exit).toHaveBeenCalled();
+          expect(error instanceof percyNodeClient.PercyBuildFailedError)
+              .toBe(true);
+          expect(error.message).toBe('build failed: missing_resources');
+          expect(error.failureReason).toBe('missing_resources');
+          expect(error.result.state).toBe('failed');
+          expect(error.result.failureReason).toBe('missing_resources');
+          expect(process.exit).not.toHaveBeenCalled();
           done();
         });
       });
     });
+
+    it('should poll with backoff until the build has finished', (done) => {
+      const processingResponse = {
+        data: {
+          id: '123',
+          attributes: {
+            'state': 'processing',
+            'web-url': 'https://percy.io/foo/bar/builds/123',
+          },
+        },
+      };
+      nockRequests.getBuild = nock('https://percy.io')
+          .get(API_URLS.GET_BUILD)
+          .times(2)
+          .reply(200, processingResponse)
+          .get(API_URLS.GET_BUILD)
+          .reply(200, BUILD_RESULTS_RESPONSE_NO_DIFF_MOCK);
+      const onPoll = jasmine.createSpy('onPoll');
+      spyOn(global, 'setTimeout').and.callThrough();
+      setupPromise.then(() => {
+        return percyNodeClient.finalizeBuild({
+          getDiffs: true,
+          pollInterval: 20,
+          backoffMultiplier: 2,
+          maxPollInterval: 30,
+          onPoll: onPoll,
+        });
+      }).then((result) => {
+        expect(nockRequests.getBuild.isDone()).toBe(true);
+        expect(result.state).toBe('finished');
+        expect(onPoll.calls.allArgs()).toEqual([
+          ['processing', 1],
+          ['processing', 2],
+          ['finished', 3],
+        ]);
+        const delays = setTimeout.calls.allArgs()
+            .map((args) => args[1])
+            .filter((ms) => ms >= 20);
+        expect(delays).toEqual([20, 30]);
+        done();
+      });
+    });
+
+    it('should reject when the build is still processing after the timeout',
+        (done) => {
+      nockRequests.getBuild = nock('https://percy.io')
+          .get(API_URLS.GET_BUILD)
+          .times(100)
+          .reply(200, {
+            data: {
+              id: '123',
+              attributes: {
+                'state': 'processing',
+                'web-url': 'https://percy.io/foo/bar/builds/123',
+              },
+            },
+          });
+      setupPromise.then(() => {
+        return percyNodeClient.finalizeBuild(
+            {getDiffs: true, pollInterval: 10, timeout: 25});
+      }).catch((error) => {
+        expect(error instanceof percyNodeClient.PercyBuildTimeoutError)
+            .toBe(true);
+        expect(error.timeout).toBe(25);
+        expect(error.state).toBe('processing');
+        expect(nockRequests.getBuildSnapshots.isDone()).toBe(false);
+        done();
+      });
+    });
+
+    it('should exit on a failed build when exitOnFailure is set', (done) => {
+      nockRequests.getBuild = nock('https://percy.io')
+          .get(API_URLS.GET_BUILD)
+          .reply(201, BUILD_RESULTS_RESPONSE_FAILED_MOCK);
+      percyNodeClient.defaultClient.exitOnFailure = true;
+      setupPromise.then(() => {
+        return percyNodeClient.finalizeBuild(true);
+      }).then(() => {
+        percyNodeClient.defaultClient.exitOnFailure = false;
+        expect(percyNodeClient.logger.error.calls.argsFor(0).join(' '))
+            .toBe('percy build failed: missing_resources');
+        expect(process.exit).toHaveBeenCalledWith(2);
+        done();
+      });
+    });
+  });
+
+  describe('when the percy api fails', function() {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should reject setup with a PercyApiError', (done) => {
+      nock('https://percy.io')
+          .post(API_URLS.CREATE_BUILD)
+          .reply(401, {errors: [{detail: 'Invalid token'}]});
+
+      percyNodeClient.setup(BUILD_DIRS, PATHS_TO_REPLACE, BREAKPOINT_CONFIG)
+          .catch((error) => {
+            expect(error instanceof percyNodeClient.PercyApiError).toBe(true);
+            expect(error.statusCode).toBe(401);
+            expect(error.method).toBe('POST');
+            expect(error.endpoint)
+                .toBe('https://percy.io' + API_URLS.CREATE_BUILD);
+            expect(process.exit).not.toHaveBeenCalled();
+            done();
+          });
+    });
+
+    it('should retry transient failures', (done) => {
+      const client = new percyNodeClient.PercyNodeClient({
+        logger: percyNodeClient.logger,
+        retry: {interval: 0},
+      });
+      const requests = nock('https://percy.io')
+          .post(API_URLS.CREATE_BUILD)
+          .replyWithError({code: 'ECONNREFUSED', message: 'refused'})
+          .post(API_URLS.CREATE_BUILD)
+          .reply(201, BUILD_RESPONSE_MOCK)
+          .post(API_URLS.UPLOAD_RESOURCE)
+          .replyWithError({code: 'ECONNRESET', message: 'socket hang up'})
+          .post(API_URLS.UPLOAD_RESOURCE)
+          .reply(201, SUCCESS_RESPONSE_MOCK)
+          .post(API_URLS.FINALIZE_BUILD)
+          .replyWithError({code: 'ETIMEDOUT', message: 'timed out'})
+          .post(API_URLS.FINALIZE_BUILD)
+          .reply(201, SUCCESS_RESPONSE_MOCK);
+
+      client.setup(BUILD_DIRS, PATHS_TO_REPLACE, BREAKPOINT_CONFIG)
+          .then(() => client.finalizeBuild())
+          .then(() => {
+            expect(requests.isDone()).toBe(true);
+            const retryLogs = percyNodeClient.logger.log.calls.allArgs()
+                .map((args) => args[0])
+                .filter((message) => message.indexOf('retrying') !== -1);
+            expect(retryLogs.length).toBe(3);
+            expect(retryLogs[0]).toContain(
+                '[percy] Create build failed, retrying in 0ms (attempt 2 of 3)');
+            expect(retryLogs[1]).toMatch(
+                /^\[percy\] Upload \S+\/styles\.css failed, retrying/);
+            expect(retryLogs[2]).toContain('[percy] Finalize build failed');
+            done();
+          });
+    });
+
+
+    it('should reject snapshots that fail to finalize', (done) => {
+      const client = new percyNodeClient.PercyNodeClient({
+        logger: percyNodeClient.logger,
+      });
+      const server = nock('https://percy.io')
+          .post(API_URLS.CREATE_BUILD)
+          .reply(201, {data: {id: '123', attributes: {}}})
+          .post(API_URLS.CREATE_SNAPSHOT)
+          .reply(201, {data: {id: 'snapshot1'}})
+          .post(API_URLS.FINALIZE_SNAPSHOT)
+          .reply(422, {errors: [{detail: 'Snapshot is missing resources'}]})
+          .post(API_URLS.FINALIZE_BUILD)
+          .reply(200, {});
+
+      client.setup(BUILD_DIRS, PATHS_TO_REPLACE, BREAKPOINT_CONFIG);
+      const snapshotPromise = client.snapshot('buttons', BUTTON_SNAPSHOT);
+      snapshotPromise
+          .catch((error) => {
+            expect(error instanceof percyNodeClient.PercyApiError).toBe(true);
+            expect(error.statusCode).toBe(422);
+            expect(error.endpoint)
+                .toBe('https://percy.io' + API_URLS.FINALIZE_SNAPSHOT);
+            return client.finalizeBuild();
+          })
+          .catch((error) => {
+            expect(error.statusCode).toBe(422);
+            // The build is finalized without the failed snapshot.
+            expect(server.isDone()).toBe(true);
+            done();
+          });
+    });
+
+    it('should reject snapshots of a build that failed to setup', (done) => {
+      nock('https://percy.io')
+          .post(API_URLS.CREATE_BUILD)
+          .reply(401, {errors: [{detail: 'Invalid token'}]});
+
+      percyNodeClient.setup(BUILD_DIRS, PATHS_TO_REPLACE, BREAKPOINT_CONFIG)
+          .catch(() => {
+            return percyNodeClient.snapshot('buttons', BUTTON_SNAPSHOT);
+          })
+          .catch((error) => {
+            expect(error instanceof percyNodeClient.PercyApiError).toBe(true);
+            expect(error.statusCode).toBe(401);
+            done();
+          });
+    });
+  });
+});
+
+describe('PercyNodeClient', function() {
+  const BUILD_DIRS = ['test/mock-project/assets/**'];
+  const PATHS_TO_REPLACE = [process.cwd() + 'test/mock-project'];
+
+  /**
+   * @param {string} id The build id.
+   * @return {Object} A create build response without missing resources.
+   */
+  function buildResponse(id) {
+    return {
+      data: {
+        id: id,
+        attributes: {'web-url': `https://percy.io/foo/builds/${id}`},
+      },
+    };
+  }
+
+  beforeEach(function() {
+    process.env.PERCY_TOKEN = 'abcxyz';
+    process.env.PERCY_PROJECT = 'foo/bar';
+    spyOn(process, 'exit');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should run independent builds in the same process', (done) => {
+    const logger = jasmine.createSpyObj('logger', ['log', 'error']);
+    const clientA = new percyNodeClient.PercyNodeClient({logger});
+    const clientB = new percyNodeClient.PercyNodeClient({
+      project: 'foo/baz',
+      logger,
+    });
+    const requests = {
+      createBuildA: nock('https://percy.io')
+          .post('/api/v1/projects/foo/bar/builds/')
+          .reply(201, buildResponse('1')),
+      createBuildB: nock('https://percy.io')
+          .post('/api/v1/projects/foo/baz/builds/')
+          .reply(201, buildResponse('2')),
+      snapshotA: nock('https://percy.io')
+          .post('/api/v1/builds/1/snapshots/', (body) => {
+            return body.data.attributes.name === 'a' &&
+                body.data.attributes.widths.join() === '320';
+          })
+          .reply(201, {data: {id: 'snapshotA'}}),
+      finalizeSnapshotA: nock('https://percy.io')
+          .post('/api/v1/snapshots/snapshotA/finalize')
+          .reply(201, {success: true}),
+      finalizeBuildA: nock('https://percy.io')
+          .post('/api/v1/builds/1/finalize')
+          .reply(201, {success: true}),
+      finalizeBuildB: nock('https://percy.io')
+          .post('/api/v1/builds/2/finalize')
+          .reply(201, {success: true}),
+    };
+
+    Promise.all([
+      clientA.setup(BUILD_DIRS, PATHS_TO_REPLACE, {small: 320}),
+      clientB.setup(BUILD_DIRS, PATHS_TO_REPLACE, {large: 1440}),
+    ]).then(() => {
+      clientA.snapshot('a', '<body></body>');
+      return Promise.all([clientA.finalizeBuild(), clientB.finalizeBuild()]);
+    }).then(() => {
+      Object.keys(requests).forEach((key) => {
+        expect(requests[key].isDone()).toBe(true, key);
+      });
+      expect(logger.log).toHaveBeenCalledWith(
+          '[percy] Setting up project "foo/baz"');
+      expect(process.exit).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('should create snapshots from an options object', (done) => {
+    const logger = jasmine.createSpyObj('logger', ['log', 'error']);
+    const client = new percyNodeClient.PercyNodeClient({logger});
+    const chartContent = 'fake png';
+    const chartSha = require('crypto').createHash('sha256')
+        .update(chartContent).digest('hex');
+    const requests = {
+      createBuild: nock('https://percy.io')
+          .post('/api/v1/projects/foo/bar/builds/')
+          .reply(201, buildResponse('1')),
+      createSnapshot: nock('https://percy.io')
+          .post('/api/v1/builds/1/snapshots/', (body) => {
+            const resourceIds = body.data.relationships.resources.data
+                .map((resource) => resource.id);
+            return body.data.attributes.widths.join() === '375,1280' &&
+                body.data.attributes['minimum-height'] === 2000 &&
+                resourceIds.length === 2 && resourceIds[1] === chartSha;
+          })
+          .reply(201, {
+            data: {
+              id: 'chart',
+              relationships: {
+                'missing-resources': {data: [{id: chartSha}]},
+              },
+            },
+          }),
+      uploadChart: nock('https://percy.io')
+          .post('/api/v1/builds/1/resources/', (body) => {
+            return body.data.id === chartSha;
+          })
+          .reply(201, {success: true}),
+      finalizeSnapshot: nock('https://percy.io')
+          .post('/api/v1/snapshots/chart/finalize')
+          .reply(201, {success: true}),
+    };
+
+    client.setup(BUILD_DIRS, PATHS_TO_REPLACE, {small: 320}).then(() => {
+      return client.snapshot({
+        name: 'chart',
+        content: '<img src="/chart.png">',
+        widths: [375, 1280],
+        minHeight: 2000,
+        resources: [{
+          resourceUrl: '/chart.png',
+          content: chartContent,
+          mimetype: 'image/png',
+        }],
+      });
+    }).then((snapshot) => {
+      Object.keys(requests).forEach((key) => {
+        expect(requests[key].isDone()).toBe(true, key);
+      });
+      expect(snapshot).toEqual(
+          {snapshotId: 'chart', name: 'chart', widths: [375, 1280]});
+      done();
+    });
+  });
+});
+
+describe('PercyNodeClient in dry run mode', function() {
+  const fs = require('fs');
+  const os = require('os');
+
+  const BUILD_DIRS = ['test/mock-project/assets/**'];
+  const PATHS_TO_REPLACE = [process.cwd() + '/test/mock-project'];
+  let outputDir;
+  let logger;
+
+  beforeEach(function() {
+    delete process.env.PERCY_TOKEN;
+    process.env.PERCY_PROJECT = 'foo/bar';
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-dry-run-'));
+    logger = jasmine.createSpyObj('logger', ['log', 'error', 'warn']);
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    delete process.env.PERCY_DRY_RUN;
+    nock.enableNetConnect();
+  });
+
+  it('should write the build to disk when there is no token', (done) => {
+    const client = new percyNodeClient.PercyNodeClient({
+      dryRunOutputDir: outputDir,
+      logger,
+    });
+    client.setup(BUILD_DIRS, PATHS_TO_REPLACE, {small: 320, large: 1440})
+        .then(() => {
+          return Promise.all([
+            client.snapshot('buttons.html', '<button>Red</button>', ['small']),
+            client.snapshot('home page', '<h1>Home</h1>'),
+          ]);
+        })
+        .then(() => client.finalizeBuild(true))
+        .then((result) => {
+          const manifest = JSON.parse(fs.readFileSync(
+              path.join(outputDir, 'manifest.json'), 'utf8'));
+          expect(manifest.project).toBe('foo/bar');
+          expect(manifest.resources.map((resource) => resource.resourceUrl))
+              .toEqual(['/assets/styles.css']);
+          expect(manifest.snapshots).toEqual([
+            {
+              name: 'buttons.html',
+              widths: [320],
+              enableJavaScript: false,
+              minHeight: null,
+              file: path.join('snapshots', 'buttons.html'),
+              resources: [],
+            },
+            {
+              name: 'home page',
+              widths: [320, 1440],
+              enableJavaScript: false,
+              minHeight: null,
+              file: path.join('snapshots', 'home-page.html'),
+              resources: [],
+            },
+          ]);
+          expect(manifest.finalizedAt).toBeTruthy();
+          expect(fs.readFileSync(
+              path.join(outputDir, 'snapshots', 'home-page.html'), 'utf8'))
+              .toBe('<h1>Home</h1>');
+          expect(result.state).toBe('skipped');
+          expect(result.totalSnapshots).toBe(2);
+          expect(result.snapshots.map((snapshot) => snapshot.name))
+              .toEqual(['buttons.html', 'home page']);
+          expect(logger.warn).toHaveBeenCalledWith(
+              jasmine.stringMatching(/skipping the diff check/));
+          expect(logger.log).not.toHaveBeenCalledWith(
+              jasmine.stringMatching(/Hooray/));
+          done();
+        });
+  });
+
+  it('should be forced with PERCY_DRY_RUN even with a token', (done) => {
+    process.env.PERCY_TOKEN = 'abcxyz';
+    process.env.PERCY_DRY_RUN = 'true';
+    const client = new percyNodeClient.PercyNodeClient({
+      dryRunOutputDir: outputDir,
+      logger,
+    });
+    client.setup(BUILD_DIRS, PATHS_TO_REPLACE, {small: 320})
+        .then(() => client.finalizeBuild())
+        .then(() => {
+          expect(fs.existsSync(path.join(outputDir, 'manifest.json')))
+              .toBe(true);
+          done();
+        });
   });
 });
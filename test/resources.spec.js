@@ -0,0 +1,249 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests gathering and hashing build resources.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {gatherBuildResources, mimetypeFor, sha256} = require(
+    path.join(__dirname, '..', 'src', 'resources'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+
+describe('gatherBuildResources', function() {
+  let rootDir;
+  let cacheFile;
+
+  /**
+   * @param {string} file Path relative to the root directory.
+   * @param {string} content
+   */
+  function writeFile(file, content) {
+    const filePath = path.join(rootDir, file);
+    try {
+      fs.mkdirSync(path.dirname(filePath));
+    } catch (e) {
+      // Already exists.
+    }
+    fs.writeFileSync(filePath, content);
+  }
+
+  /**
+   * @param {Object=} opt_options
+   * @return {!Promise<{resources: !Object, skipped: !Array}>}
+   */
+  function gather(opt_options) {
+    return gatherBuildResources(
+        [path.join(rootDir, 'assets', '**')], [rootDir], opt_options);
+  }
+
+  beforeEach(function() {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-resources-'));
+    cacheFile = path.join(rootDir, 'cache', 'hashes.json');
+    writeFile('assets/app.css', 'body {}');
+    writeFile('assets/logo one.png', 'png');
+    writeFile('assets/z.js', 'js');
+  });
+
+  it('should hash every file in the build directories', (done) => {
+    gather({concurrency: 2}).then((gathered) => {
+      const resources = gathered.resources;
+      const shas = Object.keys(resources);
+      expect(shas.map((sha) => resources[sha].resourceUrl)).toEqual(
+          ['/assets/app.css', '/assets/logo%20one.png', '/assets/z.js']);
+      const css = resources[sha256('body {}')];
+      expect(css.localPath).toBe(path.join(rootDir, 'assets', 'app.css'));
+      expect(css.content).toBeUndefined();
+      expect(css.mimetype).toBe('text/css');
+      expect(gathered.skipped).toEqual([]);
+      done();
+    });
+  });
+
+  it('should not read unchanged files again with a cache', (done) => {
+    gather({cacheFile: cacheFile}).then(() => {
+      writeFile('assets/z.js', 'changed');
+      spyOn(fs, 'createReadStream').and.callThrough();
+      return gather({cacheFile: cacheFile});
+    }).then((gathered) => {
+      const resources = gathered.resources;
+      expect(fs.createReadStream.calls.count()).toBe(1);
+      expect(fs.createReadStream)
+          .toHaveBeenCalledWith(path.join(rootDir, 'assets', 'z.js'));
+      expect(resources[sha256('changed')].resourceUrl).toBe('/assets/z.js');
+      expect(resources[sha256('png')]).toBeDefined();
+      const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      expect(Object.keys(cache.files).length).toBe(3);
+      done();
+    });
+  });
+
+  it('should ignore a corrupt cache', (done) => {
+    writeFile('cache/hashes.json', '{');
+    gather({cacheFile: cacheFile}).then((gathered) => {
+      expect(Object.keys(gathered.resources).length).toBe(3);
+      done();
+    });
+  });
+
+  it('should leave out ignored and large files', (done) => {
+    writeFile('assets/app.css.map', '{}');
+    writeFile('assets/.DS_Store', '');
+    writeFile('assets/video.mp4', 'a large video');
+    gather({
+      ignore: ['**/*.map', '**/.DS_Store'],
+      maxFileSize: 10,
+    }).then((gathered) => {
+      const resources = gathered.resources;
+      expect(Object.keys(resources).map((sha) => resources[sha].resourceUrl))
+          .toEqual(
+              ['/assets/app.css', '/assets/logo%20one.png', '/assets/z.js']);
+      expect(gathered.skipped).toEqual([
+        {resourceUrl: '/assets/app.css.map', reason: 'ignored'},
+        {resourceUrl: '/assets/video.mp4', reason: 'tooLarge', size: 13},
+      ]);
+      done();
+    });
+  });
+
+  it('should report skipped files at the end of setup', (done) => {
+    writeFile('assets/video.mp4', 'a large video');
+    writeFile('assets/app.css.map', '{}');
+    spyOn(console, 'warn');
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: new FakeBackend(),
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+      ignore: ['**/*.map'],
+      maxFileSize: 10,
+    });
+    client.setup([path.join(rootDir, 'assets', '**')], [rootDir], {}).then(
+        () => {
+          expect(console.warn).toHaveBeenCalledTimes(1);
+          expect(console.warn).toHaveBeenCalledWith(
+              '[percy][WARNING] Skipped 2 build resource(s):\n' +
+              '  /assets/app.css.map (ignored)\n' +
+              '  /assets/video.mp4 (13 bytes, larger than 10 bytes)');
+          done();
+        });
+  });
+
+  it('should report the progress of build resource uploads', (done) => {
+    let uploading = 0;
+    let maxUploading = 0;
+    const onUploadProgress = jasmine.createSpy('onUploadProgress');
+    const logger = jasmine.createSpyObj('logger', ['log', 'error']);
+    const backend = new FakeBackend();
+    backend.createBuild = () => Promise.resolve({
+      id: 'build',
+      webUrl: 'fake',
+      missingResources: [sha256('body {}'), sha256('png'), sha256('js')],
+    });
+    backend.uploadResource = () => {
+      uploading++;
+      maxUploading = Math.max(maxUploading, uploading);
+      return new Promise((resolve) => setTimeout(resolve, 5))
+          .then(() => uploading--);
+    };
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: logger,
+      uploadConcurrency: 3,
+      onUploadProgress: onUploadProgress,
+    });
+    client.setup([path.join(rootDir, 'assets', '**')], [rootDir], {}).then(
+        () => {
+          expect(maxUploading).toBe(3);
+          expect(onUploadProgress).toHaveBeenCalledTimes(3);
+          expect(onUploadProgress.calls.argsFor(0)[0]).toEqual({
+            resourceUrl: '/assets/app.css',
+            uploaded: 1,
+            remaining: 2,
+            total: 3,
+            bytesUploaded: 7,
+            totalBytes: 12,
+          });
+          expect(onUploadProgress.calls.mostRecent().args[0].remaining)
+              .toBe(0);
+          expect(logger.log).toHaveBeenCalledWith(
+              '[percy] Uploaded new build resource: /assets/z.js ' +
+              '(3 of 3, 12 B of 12 B)');
+          done();
+        });
+  });
+
+  it('should finalize snapshots taken during setup after every upload',
+      (done) => {
+    const uploaded = [];
+    const finalizeSnapshot = jasmine.createSpy('finalizeSnapshot')
+        .and.callFake(() => {
+          expect(uploaded.length).toBe(3);
+          return Promise.resolve();
+        });
+    const backend = new FakeBackend();
+    backend.createBuild = () => Promise.resolve({
+      id: 'build',
+      webUrl: 'fake',
+      missingResources: [sha256('body {}'), sha256('png'), sha256('js')],
+    });
+    backend.uploadResource = (buildId, resource) => {
+      return new Promise((resolve) => setTimeout(resolve, 5))
+          .then(() => uploaded.push(resource.resourceUrl));
+    };
+    backend.finalizeSnapshot = finalizeSnapshot;
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+      uploadConcurrency: 1,
+      discoverAssets: false,
+    });
+    const setup = client.setup(
+        [path.join(rootDir, 'assets', '**')], [rootDir], {});
+    client.snapshot('home', '<h1>Home</h1>').then(() => setup).then(() => {
+      expect(finalizeSnapshot).toHaveBeenCalledTimes(1);
+      done();
+    });
+  });
+
+  it('should read the upload concurrency from the environment', () => {
+    process.env.PERCY_UPLOAD_CONCURRENCY = '0';
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: {},
+    });
+    try {
+      expect(() => client.getUploadConcurrency_()).toThrowError(TypeError,
+          '"PERCY_UPLOAD_CONCURRENCY" must be an integer >= 1, got: 0');
+      process.env.PERCY_UPLOAD_CONCURRENCY = '4';
+      expect(client.getUploadConcurrency_()).toBe(4);
+    } finally {
+      delete process.env.PERCY_UPLOAD_CONCURRENCY;
+    }
+    expect(client.getUploadConcurrency_()).toBe(2);
+    expect(() => new percyNodeClient.PercyNodeClient({uploadConcurrency: 1.5}))
+        .toThrowError(TypeError);
+  });
+});
+
+
+describe('mimetypeFor', function() {
+  it('should map extensions to content types', () => {
+    expect(mimetypeFor('/fonts/icons.WOFF2?v=3')).toBe('font/woff2');
+    expect(mimetypeFor('/img/logo.svg')).toBe('image/svg+xml');
+    expect(mimetypeFor('/img/photo.webp')).toBe('image/webp');
+    expect(mimetypeFor('/data.bin')).toBeUndefined();
+  });
+
+  it('should use custom content types', () => {
+    const mimeTypes = {'.avif': 'image/avif', '.js': 'text/javascript'};
+    expect(mimetypeFor('/img/photo.avif', mimeTypes)).toBe('image/avif');
+    expect(mimetypeFor('/app.js', mimeTypes)).toBe('text/javascript');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ */
+
+const path = require('path');
+const {
+  UNSENT_ERROR_CODES,
+  parseRetryOptions,
+  isRetryable,
+  withRetry,
+} = require(path.join(__dirname, '..', 'src', 'retry'));
+
+
+describe('retry', function() {
+  const OPTIONS = parseRetryOptions({
+    attempts: 3,
+    interval: 1,
+    statusCodes: [502, 503],
+  });
+
+  /**
+   * @param {number} statusCode
+   * @return {!Error} An error like the ones request-promise rejects with.
+   */
+  function statusCodeError(statusCode) {
+    const error = new Error(`${statusCode} - error`);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  describe('parseRetryOptions', function() {
+    it('should fill in defaults', () => {
+      const options = parseRetryOptions({attempts: 5});
+      expect(options.attempts).toBe(5);
+      expect(options.interval).toBe(1000);
+      expect(options.statusCodes).toContain(503);
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => parseRetryOptions({attempts: 0})).toThrowError(TypeError);
+      expect(() => parseRetryOptions({interval: -1})).toThrowError(TypeError);
+      expect(() => parseRetryOptions({backoffMultiplier: 0.5}))
+          .toThrowError(TypeError);
+      expect(() => parseRetryOptions({statusCodes: 503}))
+          .toThrowError(TypeError);
+    });
+  });
+
+  describe('isRetryable', function() {
+    it('should retry the configured status codes', () => {
+      expect(isRetryable(statusCodeError(503), OPTIONS)).toBe(true);
+      expect(isRetryable(statusCodeError(500), OPTIONS)).toBe(false);
+      expect(isRetryable(statusCodeError(400), OPTIONS)).toBe(false);
+    });
+
+    it('should retry network errors', () => {
+      const cause = new Error('socket hang up');
+      cause.code = 'ECONNRESET';
+      const requestError = new Error('RequestError: socket hang up');
+      requestError.cause = cause;
+      expect(isRetryable(requestError, OPTIONS)).toBe(true);
+      expect(isRetryable(new Error('boom'), OPTIONS)).toBe(false);
+    });
+
+    it('should only retry the given network errors', () => {
+      const reset = new Error('socket hang up');
+      reset.code = 'ECONNRESET';
+      const refused = new Error('connect ECONNREFUSED');
+      refused.code = 'ECONNREFUSED';
+      expect(isRetryable(reset, OPTIONS, UNSENT_ERROR_CODES)).toBe(false);
+      expect(isRetryable(refused, OPTIONS, UNSENT_ERROR_CODES)).toBe(true);
+      expect(isRetryable(statusCodeError(503), OPTIONS, UNSENT_ERROR_CODES))
+          .toBe(true);
+    });
+  });
+
+  describe('withRetry', function() {
+    it('should retry until the call succeeds', (done) => {
+      const onRetry = jasmine.createSpy('onRetry');
+      const fn = jasmine.createSpy('fn').and.returnValues(
+          Promise.reject(statusCodeError(502)),
+          Promise.resolve('ok'));
+      withRetry(fn, OPTIONS, onRetry).then((value) => {
+        expect(value).toBe('ok');
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(onRetry).toHaveBeenCalledTimes(1);
+        expect(onRetry.calls.argsFor(0)[1]).toBe(2);
+        done();
+      });
+    });
+
+    it('should give up after the configured attempts', (done) => {
+      const fn = jasmine.createSpy('fn').and.callFake(
+          () => Promise.reject(statusCodeError(503)));
+      withRetry(fn, OPTIONS).catch((error) => {
+        expect(error.statusCode).toBe(503);
+        expect(fn).toHaveBeenCalledTimes(3);
+        done();
+      });
+    });
+
+    it('should not retry errors that are not retryable', (done) => {
+      const fn = jasmine.createSpy('fn').and.callFake(
+          () => Promise.reject(statusCodeError(400)));
+      withRetry(fn, OPTIONS).catch((error) => {
+        expect(error.statusCode).toBe(400);
+        expect(fn).toHaveBeenCalledTimes(1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests serializing live documents, with pages in jsdom.
+ */
+
+const path = require('path');
+const {JSDOM} = require('jsdom');
+const {SERIALIZE_DOM_SCRIPT, serializeDom} = require(
+    path.join(__dirname, '..', 'src', 'serialize-dom'));
+
+
+describe('serializeDom', function() {
+  /**
+   * @param {string} html
+   * @return {!Window} The window of a page with the html.
+   */
+  function createPage(html) {
+    return new JSDOM(html, {runScripts: 'outside-only'}).window;
+  }
+
+  /**
+   * Runs serializeDom() in the page, like Puppeteer's page.evaluate() does,
+   * so it can't use anything from outside of its own body.
+   * @param {!Window} page
+   * @param {!Object=} opt_options
+   * @return {?string}
+   */
+  function serialize(page, opt_options) {
+    return page.eval(
+        `(${serializeDom})(${JSON.stringify(opt_options || {})});`);
+  }
+
+  /**
+   * Adds a shadow root to an element. jsdom 11, the last version that runs on
+   * the node versions percy-node supports, has no shadow dom, so the shadow
+   * root is a document fragment.
+   * @param {!Element} host
+   * @param {string} html The content of the shadow root.
+   * @param {!Array<string>=} opt_adoptedCss The css of its adopted
+   *     stylesheets.
+   */
+  function attachShadow(host, html, opt_adoptedCss) {
+    const template = host.ownerDocument.createElement('template');
+    template.innerHTML = html;
+    const shadowRoot = template.content;
+    shadowRoot.mode = 'open';
+    shadowRoot.adoptedStyleSheets = fakeStyleSheets(opt_adoptedCss || []);
+    Object.defineProperty(host, 'shadowRoot', {value: shadowRoot});
+  }
+
+  /**
+   * @param {!Array<string>} cssList
+   * @return {!Array<{cssRules: !Array<{cssText: string}>}>} Constructed
+   *     stylesheets, which jsdom doesn't have either.
+   */
+  function fakeStyleSheets(cssList) {
+    return cssList.map((css) => ({cssRules: [{cssText: css}]}));
+  }
+
+  it('should keep the doctype and leave out scripts', () => {
+    const page = createPage('<!DOCTYPE html><html><head>' +
+        '<script>window.loaded = true;</script></head>' +
+        '<body><h1>Home</h1><script src="/app.js"></script></body></html>');
+    expect(serialize(page)).toBe('<!DOCTYPE html><html><head></head>' +
+        '<body><h1>Home</h1></body></html>');
+    expect(serialize(page, {enableJavaScript: true})).toBe(
+        '<!DOCTYPE html><html><head>' +
+        '<script>window.loaded = true;</script></head>' +
+        '<body><h1>Home</h1><script src="/app.js"></script></body></html>');
+    // The page itself keeps its scripts.
+    expect(page.document.querySelectorAll('script').length).toBe(2);
+  });
+
+  it('should write the form state into the html', () => {
+    const page = createPage('<form>' +
+        '<input name="query" value="initial">' +
+        '<input name="password" type="password">' +
+        '<input name="remember" type="checkbox" checked>' +
+        '<input name="terms" type="checkbox">' +
+        '<select><option>One</option><option>Two</option></select>' +
+        '<textarea>initial</textarea></form>');
+    const document = page.document;
+    document.querySelector('[name=query]').value = 'percy';
+    document.querySelector('[name=password]').value = 'secret';
+    document.querySelector('[name=remember]').checked = false;
+    document.querySelector('[name=terms]').checked = true;
+    document.querySelector('select').selectedIndex = 1;
+    document.querySelector('textarea').value = 'typed';
+
+    expect(serialize(page, {selector: 'form'})).toBe('<form>' +
+        '<input name="query" value="percy">' +
+        '<input name="password" type="password">' +
+        '<input name="remember" type="checkbox">' +
+        '<input name="terms" type="checkbox" checked="">' +
+        '<select><option>One</option><option selected="">Two</option>' +
+        '</select><textarea>typed</textarea></form>');
+    expect(document.querySelector('[name=query]').getAttribute('value'))
+        .toBe('initial');
+  });
+
+  it('should write the CSSOM rules of style elements', () => {
+    const page = createPage(
+        '<html><head><style>h1 { color: red; }</style></head></html>');
+    const sheet = page.document.querySelector('style').sheet;
+    // Like a CSS-in-JS library, which doesn't change the text of the element.
+    sheet.insertRule('.button { margin: 0px; }', 1);
+    page.document.adoptedStyleSheets =
+        fakeStyleSheets(['body {padding: 0px;}']);
+    expect(serialize(page)).toBe('<html><head>' +
+        '<style>h1 {color: red;}\n.button {margin: 0px;}</style>' +
+        '<style data-percy-adopted-stylesheet="">body {padding: 0px;}</style>' +
+        '</head><body></body></html>');
+  });
+
+  it('should write shadow roots as templates', () => {
+    const page = createPage('<div id="card"><span>Light</span></div>');
+    attachShadow(page.document.getElementById('card'),
+        '<h2>Shadow</h2><slot></slot>', [':host {display: block;}']);
+    expect(serialize(page, {selector: '#card'})).toBe('<div id="card">' +
+        '<template shadowrootmode="open">' +
+        '<style data-percy-adopted-stylesheet="">:host {display: block;}' +
+        '</style><h2>Shadow</h2><slot></slot></template>' +
+        '<span>Light</span></div>');
+  });
+
+  it('should turn canvases into images of their content', () => {
+    const page = createPage('<canvas id="chart" class="chart" width="20" ' +
+        'height="10"></canvas><canvas id="tainted"></canvas>');
+    page.document.getElementById('chart').toDataURL =
+        () => 'data:image/png;base64,AAAA';
+    page.document.getElementById('tainted').toDataURL = () => {
+      throw new Error('The canvas has been tainted by cross-origin data.');
+    };
+    expect(serialize(page, {selector: 'body'})).toBe('<body>' +
+        '<img id="chart" class="chart" width="20" height="10" ' +
+        'src="data:image/png;base64,AAAA">' +
+        '<canvas id="tainted"></canvas></body>');
+  });
+
+  it('should return null if no element matches the selector', () => {
+    expect(serialize(createPage('<h1>Home</h1>'), {selector: '.missing'}))
+        .toBe(null);
+  });
+
+  it('should run with webdriver executeScript arguments', () => {
+    const page = createPage('<nav class="menu">Menu</nav>');
+    page.options = {selector: '.menu'};
+    expect(page.eval(`(function() { ${SERIALIZE_DOM_SCRIPT} })` +
+        '.call(null, window.options);'))
+        .toBe('<nav class="menu">Menu</nav>');
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests how snapshot() validates its arguments, handles duplicate names and
+ * finds the assets it refers to, and the events the client emits, with an in
+ * memory backend.
+ */
+
+const fs = require('fs');
+const nock = require('nock');
+const os = require('os');
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+
+describe('PercyNodeClient snapshot', function() {
+  const BREAKPOINT_CONFIG = {small: 320, large: 1440};
+  let backend;
+
+  /**
+   * @param {Object=} opt_options Client options.
+   * @param {!Array<string>=} opt_rootDirs
+   * @return {!Promise<!PercyNodeClient>} A client that has been set up.
+   */
+  function setupClient(opt_options, opt_rootDirs = []) {
+    const client = new percyNodeClient.PercyNodeClient(Object.assign({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+    }, opt_options));
+    return client.setup([], opt_rootDirs, BREAKPOINT_CONFIG)
+        .then(() => client);
+  }
+
+  /**
+   * @param {!Promise} promise
+   * @return {!Promise<!Error>} The error the promise rejected with.
+   */
+  function rejection(promise) {
+    return promise.then(() => {
+      throw new Error('Expected the promise to reject.');
+    }, (error) => error);
+  }
+
+  beforeEach(function() {
+    backend = new FakeBackend();
+    spyOn(console, 'warn');
+  });
+
+  it('should reject empty names and content', (done) => {
+    setupClient().then((client) => {
+      return Promise.all([
+        rejection(client.snapshot('', '<h1>Home</h1>')),
+        rejection(client.snapshot('home', '')),
+        rejection(client.snapshot({name: 'home'})),
+      ]);
+    }).then((errors) => {
+      errors.forEach((error) => {
+        expect(error instanceof percyNodeClient.PercySnapshotError).toBe(true);
+      });
+      expect(errors[0].message)
+          .toBe('Snapshot name must be a non-empty string.');
+      expect(errors[1].message).toBe('Snapshot "home" has no html content.');
+      expect(errors[2].snapshotName).toBe('home');
+      expect(backend.snapshots.length).toBe(0);
+      done();
+    });
+  });
+
+  it('should reject unknown breakpoints', (done) => {
+    setupClient().then((client) => {
+      return rejection(client.snapshot('home', '<h1>Home</h1>', ['medium']));
+    }).then((error) => {
+      expect(error instanceof percyNodeClient.PercySnapshotError).toBe(true);
+      expect(error.message).toBe('Snapshot "home" uses breakpoints that are ' +
+          'not defined in the Percy config: medium. Defined breakpoints: ' +
+          'small, large');
+      expect(backend.snapshots.length).toBe(0);
+      done();
+    });
+  });
+
+  it('should reject widths percy does not support', (done) => {
+    setupClient().then((client) => {
+      return rejection(client.snapshot(
+          {name: 'home', content: '<h1>Home</h1>', widths: [5, 320, 2400]}));
+    }).then((error) => {
+      expect(error.message).toBe('Snapshot "home" has widths outside of the ' +
+          '10-2000px range percy supports: 5, 2400');
+      done();
+    });
+  });
+
+  it('should report invalid snapshots after finalizing the build', (done) => {
+    spyOn(backend, 'finalizeBuild').and.callThrough();
+    setupClient().then((client) => {
+      client.snapshot('home', '');
+      client.snapshot('menu', '<nav>Menu</nav>', ['medium']);
+      client.snapshot('footer', '<footer></footer>');
+      return rejection(client.finalizeBuild());
+    }).then((error) => {
+      expect(error instanceof percyNodeClient.PercySnapshotError).toBe(true);
+      expect(error.snapshotName).toBe('home');
+      expect(backend.snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['footer']);
+      expect(backend.finalizeBuild).toHaveBeenCalledWith('build');
+      done();
+    });
+  });
+
+  it('should keep the build result when its snapshots are not listed',
+      (done) => {
+    spyOn(backend, 'getBuild').and.returnValue(Promise.resolve(
+        {state: 'finished', webUrl: 'fake', totalSnapshotsUnreviewed: 2}));
+    spyOn(backend, 'getBuildSnapshots').and.returnValue(
+        Promise.reject(new Error('Forbidden')));
+    const logger = jasmine.createSpyObj('logger', ['log', 'error', 'warn']);
+    setupClient({logger}).then((client) => {
+      return rejection(client.finalizeBuild(true));
+    }).then((error) => {
+      expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+          .toBe(true);
+      expect(error.result.snapshots).toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith('[percy][WARNING] Could not ' +
+          'list the snapshots of build build: Forbidden');
+      done();
+    });
+  });
+
+  it('should not carry snapshots over to the next build', (done) => {
+    spyOn(backend, 'finalizeBuild').and.callThrough();
+    let client;
+    setupClient().then((setUpClient) => {
+      client = setUpClient;
+      client.snapshot('home', '');
+      return rejection(client.finalizeBuild());
+    }).then(() => client.setup([], [], BREAKPOINT_CONFIG)).then(() => {
+      client.snapshot('home', '<h1>Home</h1>');
+      return client.finalizeBuild();
+    }).then(() => {
+      expect(backend.snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['home']);
+      expect(backend.finalizeBuild.calls.count()).toBe(2);
+      done();
+    });
+  });
+
+  it('should exit as soon as a snapshot fails with exitOnFailure', (done) => {
+    spyOn(process, 'exit');
+    const logger = jasmine.createSpyObj('logger', ['log', 'error']);
+    const client = new percyNodeClient.PercyNodeClient(
+        {backend: backend, logger: logger});
+    client.setup({
+      breakpoints: BREAKPOINT_CONFIG,
+      exitOnFailure: true,
+      configFile: false,
+    }).then(() => {
+      expect(client.exitOnFailure).toBe(true);
+      return client.snapshot('home', '');
+    }).then((snapshot) => {
+      expect(snapshot).toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(
+          'percy', 'Snapshot "home" has no html content.');
+      expect(process.exit).toHaveBeenCalledWith(2);
+      done();
+    });
+  });
+
+  it('should skip duplicate names with a warning by default', (done) => {
+    setupClient().then((client) => {
+      return Promise.all([
+        client.snapshot('home', '<h1>Home</h1>'),
+        client.snapshot('home', '<h1>Home again</h1>'),
+      ]);
+    }).then((snapshots) => {
+      expect(snapshots[0].name).toBe('home');
+      expect(snapshots[1]).toBe(null);
+      expect(backend.snapshots.length).toBe(1);
+      expect(console.warn).toHaveBeenCalledWith(
+          '[percy][WARNING] Duplicate snapshot name, skipping snapshot: home');
+      done();
+    });
+  });
+
+  it('should reject duplicate names', (done) => {
+    setupClient({duplicateSnapshots: 'reject'}).then((client) => {
+      return Promise.all([
+        client.snapshot('home', '<h1>Home</h1>'),
+        rejection(client.snapshot('home', '<h1>Home again</h1>')),
+      ]);
+    }).then((results) => {
+      const error = results[1];
+      expect(results[0].name).toBe('home');
+      expect(error instanceof percyNodeClient.PercySnapshotError).toBe(true);
+      expect(error.message)
+          .toBe('A snapshot named "home" was already taken in this build.');
+      expect(backend.snapshots.length).toBe(1);
+      done();
+    });
+  });
+
+  it('should suffix duplicate names', (done) => {
+    setupClient({duplicateSnapshots: 'suffix'}).then((client) => {
+      return Promise.all([
+        client.snapshot('home', '<h1>Home</h1>'),
+        client.snapshot('home (2)', '<h1>Home 2</h1>'),
+        client.snapshot('home', '<h1>Home again</h1>'),
+      ]);
+    }).then((snapshots) => {
+      expect(snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['home', 'home (2)', 'home (3)']);
+      expect(backend.snapshots.map((snapshot) => snapshot.name))
+          .toEqual(['home', 'home (2)', 'home (3)']);
+      done();
+    });
+  });
+
+  it('should attach the local assets the html refers to', (done) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-snapshot-'));
+    fs.writeFileSync(path.join(rootDir, 'logo.png'), 'png');
+    const html = '<img src="/logo.png"><img src="/missing.png">';
+    setupClient({}, [rootDir]).then((client) => {
+      return client.snapshot('home', html);
+    }).then(() => {
+      expect(backend.snapshots[0].resources.map(
+          (resource) => resource.resourceUrl)).toEqual(['/', '/logo.png']);
+      expect(console.warn).toHaveBeenCalledWith('[percy][WARNING] Snapshot ' +
+          '"home" refers to assets that are not in the root directories, ' +
+          'they will be missing in percy: /missing.png');
+      done();
+    });
+  });
+
+  it('should request assets from the base url', (done) => {
+    const server = nock('http://localhost:4200')
+        .get('/logo.png')
+        .reply(200, 'png', {'Content-Type': 'image/png'});
+    setupClient({baseUrl: 'http://localhost:4200'}).then((client) => {
+      return client.snapshot('home', '<img src="/logo.png">');
+    }).then(() => {
+      expect(server.isDone()).toBe(true);
+      const logo = backend.snapshots[0].resources[1];
+      expect(logo.resourceUrl).toBe('/logo.png');
+      expect(logo.mimetype).toBe('image/png');
+      expect(logo.content.toString()).toBe('png');
+      done();
+    });
+  });
+
+  it('should only read assets from root directories that are given',
+      (done) => {
+    // README.md is in the working directory, which is where build files are
+    // looked up without root directories.
+    const server = nock('http://localhost:4200')
+        .get('/README.md')
+        .reply(200, 'served');
+    const client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+      baseUrl: 'http://localhost:4200',
+    });
+    const html = '<link rel="icon" href="/README.md">';
+    client.setup({breakpoints: BREAKPOINT_CONFIG, configFile: false})
+        .then(() => client.snapshot('home', html))
+        .then(() => {
+          expect(server.isDone()).toBe(true);
+          expect(backend.snapshots[0].resources[1].content.toString())
+              .toBe('served');
+          done();
+        });
+  });
+
+  it('should not discover assets when disabled', (done) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-snapshot-'));
+    fs.writeFileSync(path.join(rootDir, 'logo.png'), 'png');
+    setupClient({discoverAssets: false}, [rootDir]).then((client) => {
+      return client.snapshot('home', '<img src="/logo.png">');
+    }).then(() => {
+      expect(backend.snapshots[0].resources.length).toBe(1);
+      done();
+    });
+  });
+
+  it('should not accept unknown duplicate modes', () => {
+    expect(() => new percyNodeClient.PercyNodeClient({
+      duplicateSnapshots: 'ignore',
+    })).toThrowError(TypeError);
+  });
+});
+
+
+describe('PercyNodeClient events', function() {
+  let backend;
+  let client;
+  let events;
+
+  beforeEach(function() {
+    backend = new FakeBackend();
+    spyOn(console, 'warn');
+    client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+    });
+    events = [];
+    percyNodeClient.CLIENT_EVENTS.forEach((eventName) => {
+      client.on(eventName, (event) => events.push([eventName, event]));
+    });
+  });
+
+  it('should report the build lifecycle', (done) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percy-events-'));
+    client.setup([], [rootDir], {small: 320}).then(() => {
+      client.snapshot('home', '<h1>Home</h1><img src="/missing.png">');
+      return client.finalizeBuild(true);
+    }).then(() => {
+      const home = {snapshotId: 'snapshot1', name: 'home', widths: [320]};
+      expect(events.map((event) => event[0])).toEqual([
+        'build:created',
+        'resource:skipped',
+        'snapshot:created',
+        'snapshot:finalized',
+        'build:finalized',
+        'build:status',
+        'build:finished',
+      ]);
+      expect(events[0][1]).toEqual({id: 'build', webUrl: 'fake'});
+      expect(events[1][1]).toEqual({
+        resourceUrl: '/missing.png',
+        snapshotName: 'home',
+        reason: 'notFound',
+      });
+      expect(events[2][1]).toEqual(home);
+      expect(events[3][1]).toEqual(home);
+      expect(events[5][1]).toEqual(
+          {id: 'build', webUrl: 'fake', state: 'finished', attempt: 1});
+      expect(events[6][1].state).toBe('finished');
+      done();
+    });
+  });
+
+  it('should report failed snapshots', (done) => {
+    client.setup([], [], {small: 320}).then(() => {
+      return client.snapshot('home', '').catch(() => {});
+    }).then(() => {
+      expect(events.length).toBe(2);
+      expect(events[1][0]).toBe('snapshot:failed');
+      expect(events[1][1].name).toBe('home');
+      expect(events[1][1].error instanceof percyNodeClient.PercySnapshotError)
+          .toBe(true);
+      done();
+    });
+  });
+
+  it('should report uploaded snapshot resources', (done) => {
+    backend.createSnapshot = (buildId, snapshot) => {
+      return Promise.resolve({
+        id: 'snapshot',
+        missingResources: snapshot.resources.map((resource) => resource.sha),
+      });
+    };
+    backend.uploadResource = () => Promise.resolve();
+    client.setup([], [], {small: 320}).then(() => {
+      return client.snapshot({
+        name: 'chart',
+        content: '<img src="/chart.png">',
+        resources: [{resourceUrl: '/chart.png', content: 'png'}],
+      });
+    }).then(() => {
+      const uploaded = events.filter((event) => {
+        return event[0] == 'resource:uploaded';
+      }).map((event) => event[1]);
+      expect(uploaded).toEqual([
+        {resourceUrl: '/', snapshotName: 'chart', size: 22},
+        {resourceUrl: '/chart.png', snapshotName: 'chart', size: 3},
+      ]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the Jasmine and Mocha integrations. The Jasmine one is installed in
+ * this very run.
+ */
+
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+/** @type {!Object} The backend of the client installed in Jasmine. */
+let jasmineBackend;
+
+
+/**
+ * @param {!Object=} opt_build The build result getBuild() resolves with.
+ * @return {{client: !PercyNodeClient, backend: !FakeBackend}} A client whose
+ *     backend spies on creating and finalizing the build.
+ */
+function createClient(opt_build) {
+  const backend = new FakeBackend(opt_build);
+  // Spied on without spyOn(), the Jasmine client is created outside a spec.
+  backend.createBuild = jasmine.createSpy(
+      'createBuild', backend.createBuild).and.callThrough();
+  backend.finalizeBuild = jasmine.createSpy(
+      'finalizeBuild', backend.finalizeBuild).and.callThrough();
+  const client = new percyNodeClient.PercyNodeClient({
+    backend: backend,
+    logger: jasmine.createSpyObj('logger', ['log', 'error']),
+  });
+  return {client, backend};
+}
+
+
+describe('Jasmine integration', function() {
+  const {client, backend} = createClient();
+  jasmineBackend = backend;
+  client.jasmine.install({setup: {breakpoints: {small: 320}}});
+
+  describe('menu', function() {
+    it('should name snapshots after the describe blocks', function(done) {
+      expect(backend.createBuild).toHaveBeenCalled();
+      this.percySnapshot('open', '<nav>Menu</nav>').then((snapshot) => {
+        expect(snapshot.name).toBe('Jasmine integration menu open');
+        expect(snapshot.widths).toEqual([320]);
+        expect(backend.finalizeBuild).not.toHaveBeenCalled();
+        return percyNodeClient.percySnapshot('closed', '<nav></nav>');
+      }).then((snapshot) => {
+        expect(snapshot.name).toBe('Jasmine integration menu closed');
+        done();
+      });
+    });
+  });
+
+  it('should fail the run when the build has unreviewed diffs', (done) => {
+    const {client} = createClient(
+        {state: 'finished', totalSnapshotsUnreviewed: 2, webUrl: 'fake'});
+    const run = new percyNodeClient.PercyTestRun(client, {getDiffs: true});
+    const hooks = run.jasmineHooks();
+    const setupDone = jasmine.createSpy('done');
+    setupDone.fail = jasmine.createSpy('fail');
+    const finalizeDone = jasmine.createSpy('done');
+    finalizeDone.fail = (error) => {
+      expect(setupDone).toHaveBeenCalled();
+      expect(error instanceof percyNodeClient.PercyUnreviewedDiffsError)
+          .toBe(true);
+      done();
+    };
+    hooks.beforeAll(setupDone);
+    run.setup().then(() => hooks.afterAll(finalizeDone));
+  });
+});
+
+
+describe('Jasmine integration after the run', function() {
+  it('should have finalized the build', () => {
+    expect(jasmineBackend.finalizeBuild).toHaveBeenCalledWith('build');
+  });
+});
+
+
+describe('Mocha integration', function() {
+  it('should set up and finalize the build around the run', (done) => {
+    const {client, backend} = createClient();
+    const hooks = client.mocha.hooks(
+        {setup: {breakpoints: {small: 320}}, timeout: 1000});
+    const root = {title: '', root: true};
+    const suite = {title: 'menu', parent: {title: 'Homepage', parent: root}};
+    const context = {
+      timeout: jasmine.createSpy('timeout'),
+      currentTest: {title: 'should open', parent: suite},
+    };
+    hooks.beforeAll.call(context).then(() => {
+      expect(context.timeout).toHaveBeenCalledWith(1000);
+      expect(backend.createBuild).toHaveBeenCalled();
+      hooks.beforeEach.call(context);
+      return context.percySnapshot('open', '<nav>Menu</nav>',
+          {widths: [600]});
+    }).then((snapshot) => {
+      expect(snapshot).toEqual(
+          {snapshotId: 'snapshot1', name: 'Homepage menu open',
+            widths: [600]});
+      return hooks.afterAll.call(context);
+    }).then(() => {
+      expect(backend.finalizeBuild).toHaveBeenCalledWith('build');
+      done();
+    });
+  });
+});
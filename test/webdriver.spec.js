@@ -0,0 +1,88 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Tests the selenium-webdriver and Protractor snapshot helpers with fake
+ * browsers.
+ */
+
+const path = require('path');
+const percyNodeClient = require(path.join(__dirname, '..', 'src',
+    'percy-node-client'));
+const {FakeBackend} = require(
+    path.join(__dirname, 'helpers', 'fake-backend'));
+
+
+describe('PercyNodeClient webdriver helpers', function() {
+  let client;
+  let backend;
+  let browser;
+  let pages;
+
+  beforeEach(function(done) {
+    pages = {html: '<!DOCTYPE html><html><body>Home</body></html>'};
+    // Like a protractor browser, resolves waitForAngular() on the next tick.
+    browser = {
+      executeScript: jasmine.createSpy('executeScript').and.callFake(
+          (script, options) => Promise.resolve(
+              pages[options.selector || 'html'] || null)),
+      waitForAngular: jasmine.createSpy('waitForAngular').and.callFake(
+          () => new Promise((resolve) => setTimeout(resolve))),
+    };
+    backend = new FakeBackend();
+    client = new percyNodeClient.PercyNodeClient({
+      backend: backend,
+      logger: jasmine.createSpyObj('logger', ['log', 'error']),
+    });
+    client.setup({breakpoints: {small: 320, large: 1440}, configFile: false})
+        .then(done);
+  });
+
+  it('should snapshot the page once angular is stable', (done) => {
+    client.protractor.snapshot(browser, 'home').then((snapshot) => {
+      expect(browser.waitForAngular).toHaveBeenCalled();
+      expect(browser.executeScript.calls.argsFor(0)).toEqual([
+        percyNodeClient.SERIALIZE_DOM_SCRIPT,
+        {selector: undefined, enableJavaScript: undefined},
+      ]);
+      expect(snapshot).toEqual(
+          {snapshotId: 'snapshot1', name: 'home', widths: [320, 1440]});
+      expect(backend.snapshots[0].resources[0].content)
+          .toBe(pages.html);
+      done();
+    });
+  });
+
+  it('should take several snapshots in a row', (done) => {
+    pages['.menu'] = '<nav class="menu">Menu</nav>';
+    client.protractor.snapshot(browser, 'home', {waitForAngular: false})
+        .then(() => client.webdriver.snapshot(browser, 'menu',
+            {selector: '.menu', breakpoints: ['small'], minHeight: 200,
+              enableJavaScript: true}))
+        .then((snapshot) => {
+          expect(browser.waitForAngular).not.toHaveBeenCalled();
+          expect(snapshot.widths).toEqual([320]);
+          const menu = backend.snapshots[1];
+          expect(menu.name).toBe('menu');
+          expect(menu.minHeight).toBe(200);
+          expect(browser.executeScript.calls.argsFor(1)[1])
+              .toEqual({selector: '.menu', enableJavaScript: true});
+          expect(menu.resources[0].content).toBe(pages['.menu']);
+          return client.finalizeBuild();
+        }).then(done);
+  });
+
+  it('should reject selectors that match nothing', (done) => {
+    percyNodeClient.webdriver.snapshot(browser, 'missing', {selector: '.nope'})
+        .catch((error) => {
+          expect(error instanceof percyNodeClient.PercySnapshotError)
+              .toBe(true);
+          expect(error.snapshotName).toBe('missing');
+          expect(backend.snapshots.length).toBe(0);
+          done();
+        });
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Copyright 2017 Google Inc.
+ *
+ * Use of this source code is governed by a MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ * Helpers for testing code that uses percy-node, available as
+ * require('percy-node/testing').
+ */
+
+const mockServer = require('./src/mock-server');
+
+module.exports = mockServer;